@@ -4,317 +4,3156 @@ const spawn = require('child_process').spawn;
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const stream = require('stream');
+const os = require('os');
+const http = require('http');
 
 /**
- * PdfTk Class
+ * Global configuration, see {@link PdfTk.configure}.
+ * @private
+ */
+const config = {
+    bin: 'pdftk',
+    env: null,
+    cwd: null,
+    tmpDir: null,
+};
+
+/**
+ * Error for failed pdftk processes.
  * @class
+ * @extends Error
  */
-class PdfTk {
+class PdftkError extends Error {
 
     /**
-     * PdfTk constructor.
-     * @param {Array} src - Input source file(s).
-     * @returns {Object} PdfTk class instance.
+     * PdftkError constructor.
+     * @param {String} message - Error message.
+     * @param {Object} [details] - Error details.
+     * @param {String} [details.code=PDFTK_ERROR] - Error classification, see {@link PdftkError.classify}.
+     * @param {Number} [details.exitCode] - Exit code of the pdftk process.
+     * @param {String} [details.stderr] - Everything the pdftk process wrote to the stderr.
+     * @param {Array} [details.args] - Arguments of the pdftk process, with passwords redacted.
+     * @returns {Object} PdftkError class instance.
      */
-    constructor(src) {
+    constructor(message, details) {
+        super(message);
+
+        details = details || {};
 
         /**
          * @member
-         * @type {Array}
+         * @type {String}
          */
-        this.src = src;
+        this.name = 'PdftkError';
 
         /**
+         * Error classification, such as "BAD_PASSWORD", "INPUT_NOT_FOUND", "NOT_A_PDF", "BINARY_MISSING", "QUEUE_TIMEOUT",
+         * "TIMEOUT" or "ABORTED".
          * @member
-         * @type {Array}
+         * @type {String}
          */
-        this.tmpFiles = [];
+        this.code = details.code || 'PDFTK_ERROR';
 
-        this._checkForTempFiles();
+        /**
+         * @member
+         * @type {Number}
+         */
+        this.exitCode = details.hasOwnProperty('exitCode') ? details.exitCode : null;
 
         /**
          * @member
          * @type {String}
          */
-        this.command = 'pdftk';
+        this.stderr = details.stderr || '';
 
         /**
          * @member
          * @type {Array}
          */
-        this.args = [].concat(this.src);
+        this.args = details.args || [];
+    }
+
+    /**
+     * HTTP status code for the error, such as 403 for "BAD_PASSWORD", 404 for "INPUT_NOT_FOUND", 422 for "NOT_A_PDF",
+     * 503 for "QUEUE_TIMEOUT" and 504 for "TIMEOUT". Anything else is 500. Express error handlers pick it up automatically.
+     * @type {Number}
+     */
+    get status() {
+        return HTTP_STATUSES[this.code] || 500;
+    }
+
+    /**
+     * Creates the error for a cancelled command.
+     * @static
+     * @private
+     * @param {Array} [args] - Arguments of the pdftk process, with passwords redacted.
+     * @returns {Object} PdftkError class instance with the "ABORTED" code.
+     */
+    static _aborted(args) {
+        return new PdftkError('The pdftk command was aborted', {
+            code: 'ABORTED',
+            args,
+        });
+    }
+
+    /**
+     * Classifies pdftk error output.
+     * @static
+     * @public
+     * @param {String} stderr - Error output of the pdftk process.
+     * @returns {String} One of "BAD_PASSWORD", "INPUT_NOT_FOUND", "NOT_A_PDF" or "PDFTK_ERROR".
+     */
+    static classify(stderr) {
+        if (/PASSWORD REQUIRED|bad password|password.*incorrect/i.test(stderr)) return 'BAD_PASSWORD';
+        if (/Unable to find file|No such file/i.test(stderr)) return 'INPUT_NOT_FOUND';
+        if (/Failed to open PDF file|PDF header signature not found|not a PDF|open_reader/i.test(stderr)) return 'NOT_A_PDF';
+        return 'PDFTK_ERROR';
+    }
+}
+
+/**
+ * Queue that limits the number of concurrent pdftk processes. Create instances with {@link PdfTk.pool}.
+ * @class
+ */
+class Pool {
+
+    /**
+     * Pool constructor.
+     * @param {Number} [maxConcurrency=Infinity] - Maximum number of concurrent processes.
+     * @returns {Object} Pool class instance.
+     */
+    constructor(maxConcurrency) {
+
+        /**
+         * @member
+         * @type {Number}
+         */
+        this.maxConcurrency = Pool._checkConcurrency(maxConcurrency);
+
+        /**
+         * Number of running processes.
+         * @member
+         * @type {Number}
+         */
+        this.active = 0;
 
         /**
+         * Waiting jobs, highest priority first.
          * @member
          * @type {Array}
          */
-        this.postArgs = [];
+        this.queue = [];
 
         return this;
     }
 
     /**
-     * Input files and initialize plugin.
+     * Validates a concurrency limit.
      * @static
+     * @private
+     * @param {Number} [maxConcurrency] - Concurrency limit.
+     * @returns {Number} Concurrency limit, Infinity when not given.
+     */
+    static _checkConcurrency(maxConcurrency) {
+        if (maxConcurrency === undefined || maxConcurrency === null || maxConcurrency === Infinity) return Infinity;
+        if (!Number.isInteger(maxConcurrency) || maxConcurrency < 1) throw new Error(`The concurrency limit "${maxConcurrency}" must be a positive integer`);
+        return maxConcurrency;
+    }
+
+    /**
+     * Number of jobs waiting for a free slot.
+     * @type {Number}
+     */
+    get pending() {
+        return this.queue.length;
+    }
+
+    /**
+     * Returns the queue depth and active count, for metrics.
      * @public
-     * @param {String|Array} src - Source files to input.
-     * @returns {Object} PdfTk class instance.
+     * @returns {Object} Object with "active", "pending" and "maxConcurrency" properties.
      */
-    static input(src) {
+    stats() {
+        return {
+            active: this.active,
+            pending: this.pending,
+            maxConcurrency: this.maxConcurrency,
+        };
+    }
 
-        src = Array.isArray(src) ? src : [
-            src,
-        ];
+    /**
+     * Changes the concurrency limit, starting queued jobs if there is room.
+     * @public
+     * @param {Number} maxConcurrency - Maximum number of concurrent processes.
+     */
+    setMaxConcurrency(maxConcurrency) {
+        this.maxConcurrency = Pool._checkConcurrency(maxConcurrency);
+        this._drain();
+    }
 
-        const input = [];
+    /**
+     * Runs a job once a slot is free.
+     * @public
+     * @param {Function} task - Job that returns a promise. The slot is held until the promise settles.
+     * @param {Object} [options] - Job options.
+     * @param {Number} [options.priority=0] - Jobs with a higher priority leave the queue first.
+     * @param {Number} [options.queueTimeout] - Milliseconds to wait for a slot before rejecting with a "QUEUE_TIMEOUT" {@link PdftkError}.
+     * @param {Object} [options.signal] - AbortSignal that removes the job from the queue, rejecting with an "ABORTED" {@link PdftkError}.
+     * @returns {Promise} Promise that settles with the job.
+     */
+    run(task, options) {
+        options = options || {};
+        return new Promise((resolve, reject) => {
+            const job = {
+                task,
+                priority: options.priority || 0,
+                resolve,
+                reject,
+                timer: null,
+                signal: options.signal,
+                onAbort: null,
+            };
+
+            if (this.active < this.maxConcurrency) return this._start(job);
+
+            let index = this.queue.findIndex(queued => queued.priority < job.priority);
+            if (index === -1) index = this.queue.length;
+            this.queue.splice(index, 0, job);
+
+            const cancel = err => {
+                this.queue.splice(this.queue.indexOf(job), 1);
+                Pool._release(job);
+                reject(err);
+            };
+
+            if (options.queueTimeout) {
+                job.timer = setTimeout(() => cancel(new PdftkError(`Waited more than ${options.queueTimeout}ms for a free pdftk slot`, {
+                    code: 'QUEUE_TIMEOUT',
+                })), options.queueTimeout);
+            }
 
-        for (const srcFile of src) {
-            if (Buffer.isBuffer(srcFile)) {
-                const tmpPath = path.join(__dirname, './node-pdftk-tmp/');
-                const uniqueId = crypto.randomBytes(16).toString('hex');
-                const tmpFile = `${tmpPath}${uniqueId}.pdf`;
-                fs.writeFileSync(tmpFile, srcFile);
-                input.push(tmpFile);
-            } else if (PdfTk.isObject(srcFile)) {
-                for (const handle in srcFile) {
-                    if (srcFile.hasOwnProperty(handle)) {
-                        if (!fs.existsSync(srcFile[handle])) throw new Error(`The input file "${srcFile[handle]}" does not exist`);
-                        input.push(`${handle}=${srcFile[handle]}`);
-                    }
-                }
-            } else {
-                if (!fs.existsSync(srcFile)) throw new Error(`The input file "${srcFile}" does not exist`);
-                input.push(srcFile);
+            if (job.signal) {
+                job.onAbort = () => cancel(PdftkError._aborted());
+                job.signal.addEventListener('abort', job.onAbort);
             }
+        });
+    }
+
+    /**
+     * Clears the queue timeout and abort listener of a job.
+     * @static
+     * @private
+     * @param {Object} job - Job that left the queue.
+     */
+    static _release(job) {
+        clearTimeout(job.timer);
+        if (job.onAbort) job.signal.removeEventListener('abort', job.onAbort);
+    }
+
+    /**
+     * Starts a job.
+     * @private
+     * @param {Object} job - Job to start.
+     */
+    _start(job) {
+        Pool._release(job);
+        this.active++;
+        const done = () => {
+            this.active--;
+            this._drain();
+        };
+        new Promise(resolve => resolve(job.task())).then(result => {
+            done();
+            job.resolve(result);
+        }, err => {
+            done();
+            job.reject(err);
+        });
+    }
+
+    /**
+     * Starts queued jobs while there are free slots.
+     * @private
+     */
+    _drain() {
+        while (this.queue.length && this.active < this.maxConcurrency) {
+            this._start(this.queue.shift());
         }
+    }
+}
+
+/**
+ * Shared pool, used by instances without a "pool" option.
+ * @private
+ */
+const defaultPool = new Pool();
+
+/**
+ * Temp files and directories that are in use, removed on process exit if still there.
+ * @private
+ */
+const liveTempFiles = new Set();
+
+/**
+ * Input streams that a run has started to read. Streams can only be read once, so a second run would get no data.
+ * @private
+ */
+const consumedStreams = new WeakSet();
+
+/**
+ * Whether the exit listener that removes leftover temp files is registered.
+ * @private
+ */
+let sweepRegistered = false;
+
+/**
+ * Permissions accepted by the allow option.
+ * @private
+ */
+const PERMISSIONS = [
+    'Printing',
+    'DegradedPrinting',
+    'ModifyContents',
+    'Assembly',
+    'CopyContents',
+    'ScreenReaders',
+    'ModifyAnnotations',
+    'FillIn',
+    'AllFeatures',
+];
+
+/**
+ * Keywords that end the list of input passwords.
+ * @private
+ */
+const OPERATIONS = [
+    'cat',
+    'shuffle',
+    'burst',
+    'rotate',
+    'generate_fdf',
+    'fill_form',
+    'background',
+    'multibackground',
+    'stamp',
+    'multistamp',
+    'dump_data',
+    'dump_data_utf8',
+    'dump_data_fields',
+    'dump_data_fields_utf8',
+    'dump_data_annots',
+    'update_info',
+    'update_info_utf8',
+    'attach_files',
+    'unpack_files',
+    'output',
+];
+
+/**
+ * Milliseconds a killed process gets to exit before it is sent SIGKILL.
+ * @private
+ */
+const KILL_GRACE_PERIOD = 2000;
+
+/**
+ * HTTP status codes by error code, see {@link PdftkError#status}.
+ * @private
+ */
+const HTTP_STATUSES = {
+    BAD_PASSWORD: 403,
+    INPUT_NOT_FOUND: 404,
+    NOT_A_PDF: 422,
+    QUEUE_TIMEOUT: 503,
+    TIMEOUT: 504,
+};
+
+/**
+ * Keys and markers written by the dump_data and dump_data_fields operations. Lines that don't start with one of them
+ * continue the value of the previous line.
+ * @private
+ */
+const DUMP_KEYS = [
+    'InfoBegin',
+    'InfoKey',
+    'InfoValue',
+    'PdfID0',
+    'PdfID1',
+    'NumberOfPages',
+    'BookmarkBegin',
+    'BookmarkTitle',
+    'BookmarkLevel',
+    'BookmarkPageNumber',
+    'PageMediaBegin',
+    'PageMediaNumber',
+    'PageMediaRotation',
+    'PageMediaRect',
+    'PageMediaCropRect',
+    'PageMediaDimensions',
+    'PageLabelBegin',
+    'PageLabelNewIndex',
+    'PageLabelStart',
+    'PageLabelPrefix',
+    'PageLabelNumStyle',
+    '---',
+    'FieldType',
+    'FieldName',
+    'FieldNameAlt',
+    'FieldFlags',
+    'FieldValue',
+    'FieldValueDefault',
+    'FieldJustification',
+    'FieldMaxLength',
+    'FieldStateOption',
+    'FieldStateOptionDisplay',
+];
+
+/**
+ * Rotation keywords for page ranges.
+ * @private
+ */
+const ROTATIONS = [
+    'north',
+    'south',
+    'east',
+    'west',
+    'left',
+    'right',
+    'down',
+];
+
+/**
+ * Page range builder for the cat, shuffle and rotate methods. Create instances with {@link PdfTk.range}.
+ * @class
+ */
+class PageRange {
+
+    /**
+     * PageRange constructor.
+     * @param {String} [handle] - Input handle the pages are taken from.
+     * @returns {Object} PageRange class instance.
+     */
+    constructor(handle) {
+        if (handle && !/^[A-Z]+$/.test(handle)) throw new Error(`The handle "${handle}" is invalid, handles must be upper-case letters`);
+
+        /**
+         * @member
+         * @type {String}
+         */
+        this.handle = handle || '';
+
+        /**
+         * @member
+         * @type {String}
+         */
+        this.start = '';
+
+        /**
+         * @member
+         * @type {String}
+         */
+        this.end = '';
+
+        /**
+         * @member
+         * @type {String}
+         */
+        this.qualifier = '';
+
+        /**
+         * @member
+         * @type {String}
+         */
+        this.rotation = '';
+
+        return this;
+    }
+
+    /**
+     * Checks a page reference, which is either a page number, "end", or a reverse reference such as "r1" (the last page).
+     * @static
+     * @private
+     * @param {Number|String} page - Page reference.
+     * @returns {String} Page reference.
+     */
+    static _pageRef(page) {
+        page = String(page);
+        if (!/^(r?[1-9]\d*|end)$/.test(page)) throw new Error(`The page "${page}" is invalid. Use a page number, "end" or a reverse page such as "r1"`);
+        return page;
+    }
+
+    /**
+     * Select a page, or a range of pages.
+     * @public
+     * @chainable
+     * @param {Number|String} start - First page.
+     * @param {Number|String} [end] - Last page.
+     * @returns {Object} PageRange class instance.
+     */
+    pages(start, end) {
+        this.start = PageRange._pageRef(start);
+        this.end = end === undefined || end === null ? '' : PageRange._pageRef(end);
+        return this;
+    }
+
+    /**
+     * Only select the even pages of the range.
+     * @public
+     * @chainable
+     * @returns {Object} PageRange class instance.
+     */
+    even() {
+        this.qualifier = 'even';
+        return this;
+    }
+
+    /**
+     * Only select the odd pages of the range.
+     * @public
+     * @chainable
+     * @returns {Object} PageRange class instance.
+     */
+    odd() {
+        this.qualifier = 'odd';
+        return this;
+    }
+
+    /**
+     * Rotate the pages of the range.
+     * @public
+     * @chainable
+     * @param {String} direction - One of north, south, east, west, left, right or down.
+     * @returns {Object} PageRange class instance.
+     */
+    rotate(direction) {
+        if (ROTATIONS.indexOf(direction) === -1) throw new Error(`The rotation "${direction}" is invalid. Choices are: ${ROTATIONS.join(', ')}`);
+        this.rotation = direction;
+        return this;
+    }
+
+    /**
+     * Returns the range in pdftk syntax.
+     * @public
+     * @returns {String} Page range.
+     */
+    toString() {
+        let pages = this.start + (this.end ? `-${this.end}` : '');
+        if (!pages && (this.qualifier || this.rotation)) pages = '1-end';
+        return this.handle + pages + this.qualifier + this.rotation;
+    }
+}
+
+/**
+ * PdfTk Class
+ * @class
+ */
+class PdfTk {
+
+    /**
+     * PdfTk constructor.
+     * @param {Array} src - Input source file(s).
+     * @param {Object} [options] - Instance options, overriding the global configuration. See {@link PdfTk.configure}.
+     * @returns {Object} PdfTk class instance.
+     */
+    constructor(src, options) {
+
+        /**
+         * @member
+         * @type {Object}
+         */
+        this.options = PdfTk._resolveOptions(options);
+
+        /**
+         * @member
+         * @type {Array}
+         */
+        this.src = src;
+
+        /**
+         * Temp files written by the current run.
+         * @member
+         * @type {Array}
+         */
+        this.tmpFiles = [];
+
+        /**
+         * Temp directories written by the current run, removed along with the temp files.
+         * @member
+         * @type {Array}
+         */
+        this.tmpDirs = [];
+
+        /**
+         * Input passwords of the current stage, as objects with "handle" (null for passwords given in input order) and "password".
+         * @member
+         * @type {Array}
+         */
+        this.inputPasswords = [];
+
+        /**
+         * @member
+         * @type {String}
+         */
+        this.command = this.options.bin;
+
+        /**
+         * @member
+         * @type {Array}
+         */
+        this.args = [].concat(this.src);
+
+        /**
+         * @member
+         * @type {Array}
+         */
+        this.postArgs = [];
+
+        /**
+         * In-memory operands (buffers and streams) of the command. One of them is written to the stdin, the rest are
+         * spooled to temp files before running the command.
+         * @member
+         * @type {Array}
+         */
+        this.operands = this.src.filter(PdfTk._isOperand);
+
+        /**
+         * Handles declared by the input.
+         * @member
+         * @type {Array}
+         */
+        this.handles = this.src.map(arg => /^([A-Z]+)=/.exec(PdfTk._isOperand(arg) ? arg.prefix : String(arg))).filter(match => match).map(match => match[1]);
+
+        /**
+         * Operation of the current stage.
+         * @member
+         * @type {String}
+         */
+        this.operation = null;
+
+        /**
+         * The previous stage of a pipeline, whose output is the input of this one.
+         * @member
+         * @type {Object}
+         */
+        this.previous = null;
+
+        /**
+         * Options of the run, shared with the previous stages of a pipeline. Only set on the copy made by {@link _forRun}.
+         * @member
+         * @type {Object}
+         */
+        this.runOptions = null;
+
+        /**
+         * Warnings written to the stderr by the last successful run.
+         * @member
+         * @type {Array}
+         */
+        this.warnings = [];
+
+        /**
+         * Parser for the output of the current operation, used by the "parse" output option.
+         * @member
+         * @type {Function}
+         */
+        this.parser = null;
+
+        return this;
+    }
+
+    /**
+     * Input files and initialize plugin.
+     * @static
+     * @public
+     * @param {String|Buffer|Stream|Object|Array} src - Source files to input. Objects map handles to files. Buffers and readable
+     * streams are passed through the stdin or spooled to temp files, see {@link operands}. Encrypted files can be given as
+     * objects with "source" and "password" properties, e.g. { A: { source: 'a.pdf', password: 'secret' } }.
+     * @param {Object} [options] - Instance options, overriding the global configuration. See {@link PdfTk.configure}.
+     * @param {Object} [options.pool] - Pool to run in, see {@link PdfTk.pool}. Defaults to the shared pool.
+     * @param {Object} [options.pageCounts] - Page counts by handle (use "A" when no handles are given), used to validate page ranges.
+     * @returns {Object} PdfTk class instance.
+     */
+    static input(src, options) {
+
+        options = PdfTk._resolveOptions(options);
+
+        src = Array.isArray(src) ? src : [
+            src,
+        ];
+
+        const input = [];
+        const passwords = {};
+
+        for (const srcFile of src) {
+            if (PdfTk.isObject(srcFile) && !PdfTk.isStream(srcFile) && !Buffer.isBuffer(srcFile)) {
+                for (const handle in srcFile) {
+                    if (srcFile.hasOwnProperty(handle)) {
+                        if (!/^[A-Z]+$/.test(handle)) throw new Error(`The handle "${handle}" is invalid, handles must be upper-case letters`);
+                        let file = srcFile[handle];
+                        if (PdfTk._isPlainObject(file)) {
+                            if (file.hasOwnProperty('password')) passwords[handle] = file.password;
+                            file = file.source;
+                        }
+                        input.push(PdfTk._inputFile(file, options, `${handle}=`));
+                    }
+                }
+            } else {
+                input.push(PdfTk._inputFile(srcFile, options, ''));
+            }
+        }
+
+        const instance = new PdfTk(input, options);
+        if (Object.keys(passwords).length) instance.inputPw(passwords);
+        return instance;
+    }
+
+    /**
+     * Creates an input argument from a path, buffer or stream.
+     * @static
+     * @private
+     * @param {String|Buffer|Stream} file - Input file.
+     * @param {Object} options - Instance options.
+     * @param {String} prefix - Argument prefix, such as a handle.
+     * @returns {String|Object} Input argument, or an operand for buffers and streams.
+     */
+    static _inputFile(file, options, prefix) {
+        if (Buffer.isBuffer(file) || PdfTk.isStream(file)) return PdfTk._createOperand(file, prefix);
+        if (!fs.existsSync(path.resolve(options.cwd, file))) throw new Error(`The input file "${file}" does not exist`);
+        return `${prefix}${file}`;
+    }
+
+    /**
+     * Set the global configuration used by all new instances. Options can be overridden per instance through {@link input}.
+     * @static
+     * @public
+     * @param {Object} options - Configuration options.
+     * @param {String} [options.bin=pdftk] - The pdftk binary to run, either a command in the system path or a path to an executable.
+     * @param {Object} [options.env] - Environment variables for the pdftk process, merged over process.env.
+     * @param {String} [options.cwd] - Working directory of the pdftk process. Relative input paths are resolved against it.
+     * @param {String} [options.tmpDir=os.tmpdir()] - Directory for temp files, such as buffered input files.
+     * @param {Number} [options.maxConcurrency=Infinity] - Maximum number of concurrent pdftk processes in the shared pool.
+     * @returns {Object} The resulting global configuration.
+     * @see {@link input} for instance only options.
+     */
+    static configure(options) {
+        options = options || {};
+        for (const key in options) {
+            if (key === 'maxConcurrency') {
+                defaultPool.setMaxConcurrency(options[key]);
+            } else if (options.hasOwnProperty(key)) {
+                if (!config.hasOwnProperty(key)) throw new Error(`The configuration option "${key}" is not supported`);
+                config[key] = options[key];
+            }
+        }
+        return Object.assign({
+            maxConcurrency: defaultPool.maxConcurrency,
+        }, config);
+    }
+
+    /**
+     * Returns the shared pool, or creates a new pool that limits the number of concurrent pdftk processes.
+     * Use a new pool through the "pool" option of {@link input}.
+     * @static
+     * @public
+     * @param {Number} [maxConcurrency] - Maximum number of concurrent processes. When omitted, the shared pool is returned.
+     * @returns {Object} Pool class instance.
+     */
+    static pool(maxConcurrency) {
+        if (maxConcurrency === undefined) return defaultPool;
+        return new Pool(maxConcurrency);
+    }
+
+    /**
+     * Merges instance options over the global configuration.
+     * @static
+     * @private
+     * @param {Object} [options] - Instance options.
+     * @returns {Object} Resolved options.
+     */
+    static _resolveOptions(options) {
+        options = Object.assign({}, config, options);
+        options.bin = options.bin || 'pdftk';
+        options.cwd = options.cwd || process.cwd();
+        options.tmpDir = options.tmpDir || os.tmpdir();
+        return options;
+    }
+
+    /**
+     * Creates a page range builder for the {@link cat}, {@link shuffle} and {@link rotate} methods.
+     * @static
+     * @public
+     * @param {String} [handle] - Input handle the pages are taken from.
+     * @returns {Object} PageRange class instance.
+     * @example PdfTk.range('A').pages(1, 'end').even().rotate('east') // "A1-endeveneast"
+     */
+    static range(handle) {
+        return new PageRange(handle);
+    }
+
+    /**
+     * Merges many PDFs, assigning handles automatically.
+     * @static
+     * @public
+     * @param {Array} sources - PDFs to merge. Either paths, buffers, streams, or objects with a "source", and optional "pages"
+     * (page ranges without a handle, such as "1-3" or ["1", "5-endodd"]), "title", "pageCount" and "password" properties.
+     * @param {Object} [options] - Merge options, plus any instance options (see {@link input}).
+     * @param {Boolean} [options.bookmarks=false] - Add a top level bookmark for each source, pointing at its first page. Titles
+     * default to the file name (or "Document n" for buffers). Page counts are read with dump_data unless "pageCount" is given.
+     * @returns {Object} PdfTk class instance.
+     */
+    static merge(sources, options) {
+        options = options || {};
+
+        if (!Array.isArray(sources) || !sources.length) throw new Error('The "merge" method requires an array of PDFs');
+
+        const items = sources.map((item, index) => {
+            item = PdfTk._isPlainObject(item) ? item : {
+                source: item,
+            };
+            if (!item.source) throw new Error(`The PDF at index ${index} has no source`);
+            if (options.bookmarks && PdfTk.isStream(item.source)) throw new Error('Streams cannot be merged with bookmarks, use a path or a buffer');
+            return Object.assign({
+                handle: PdfTk._handle(index),
+            }, item);
+        });
+
+        const input = {};
+        const ranges = [];
+        for (const item of items) {
+            input[item.handle] = item.hasOwnProperty('password') ? {
+                source: item.source,
+                password: item.password,
+            } : item.source;
+            const pages = item.pages ? [].concat(item.pages).join(' ').split(/\s+/).filter(page => page) : [''];
+            for (const page of pages) {
+                if (/^[A-Z]/.test(page)) throw new Error(`The page range "${page}" of "${item.handle}" must not include a handle`);
+                ranges.push(item.handle + page);
+            }
+        }
+
+        const merged = PdfTk.input(input, options).cat(ranges);
+        if (!options.bookmarks) return merged;
+
+        merged.next();
+        const first = merged.previous;
+
+        const bookmarks = () => Promise.all(items.map((item, index) => {
+            if (item.pageCount) return item.pageCount;
+            return first._pageCount(first.src[index]);
+        })).then(pageCounts => {
+            const data = [];
+            let page = 1;
+            items.forEach((item, index) => {
+                const count = ranges
+                    .filter(range => range.match(/^[A-Z]*/)[0] === item.handle)
+                    .reduce((total, range) => total + PdfTk._rangePageCount(range.slice(item.handle.length), pageCounts[index]), 0);
+                if (count) {
+                    let title = item.title;
+                    if (!title && title !== 0) title = PdfTk.isString(item.source) ? path.basename(item.source, path.extname(item.source)) : `Document ${index + 1}`;
+                    data.push({
+                        title,
+                        page,
+                    });
+                }
+                page += count;
+            });
+            return PdfTk.generateInfoFromJSON({
+                bookmarks: data,
+            });
+        });
+
+        return merged._commandWithOperand('update_info_utf8', bookmarks);
+    }
+
+    /**
+     * Returns the handle for an input index: A to Z, then AA, AB, and so on.
+     * @static
+     * @private
+     * @param {Number} index - Input index.
+     * @returns {String} Handle.
+     */
+    static _handle(index) {
+        let handle = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            handle = String.fromCharCode(65 + ((n - 1) % 26)) + handle;
+        }
+        return handle;
+    }
+
+    /**
+     * Counts the pages selected by a page range without a handle.
+     * @static
+     * @private
+     * @param {String} range - Page range, such as "1-5even". An empty range selects all pages.
+     * @param {Number} pageCount - Page count of the input.
+     * @returns {Number} Number of selected pages.
+     */
+    static _rangePageCount(range, pageCount) {
+        const match = /^(?:(r?\d+|end)(?:-(r?\d+|end))?)?(even|odd)?/.exec(range);
+        const toNumber = ref => {
+            if (ref === 'end') return pageCount;
+            if (ref[0] === 'r') return pageCount - parseInt(ref.slice(1), 10) + 1;
+            return parseInt(ref, 10);
+        };
+        const start = match[1] ? toNumber(match[1]) : 1;
+        const end = match[2] ? toNumber(match[2]) : match[1] ? start : pageCount;
+        let count = 0;
+        for (let page = Math.min(start, end); page <= Math.max(start, end); page++) {
+            if (match[3] === 'even' && page % 2) continue;
+            if (match[3] === 'odd' && !(page % 2)) continue;
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * Interleaves the pages of two PDFs, such as the front and back sides of a duplex scan.
+     * @static
+     * @public
+     * @param {String|Buffer|Stream} frontPdf - PDF with the odd pages.
+     * @param {String|Buffer|Stream} backPdf - PDF with the even pages.
+     * @param {Object} [options] - Interleave options, plus any instance options (see {@link input}).
+     * @param {Boolean} [options.reverseBack=false] - Set when the back sides were scanned in reverse order.
+     * @returns {Object} PdfTk class instance.
+     */
+    static interleave(frontPdf, backPdf, options) {
+        options = options || {};
+        return PdfTk
+            .input({
+                A: frontPdf,
+                B: backPdf,
+            }, options)
+            .shuffle(options.reverseBack ? 'A Bend-1' : 'A B');
+    }
+
+    /**
+     * Fills one form template with many records ("mail merge"). A failing record doesn't stop the others, its error is
+     * reported in the results instead.
+     * @static
+     * @public
+     * @param {String|Buffer} template - Path or buffer of the form PDF. Streams can only be read once, so they aren't supported.
+     * @param {Array} records - Form data objects, one per PDF.
+     * @param {Object} [options] - Fill options, plus any instance options (see {@link input}).
+     * @param {String} [options.mode=buffers] - Either "buffers" to resolve a buffer per record, "files" to write a file per record,
+     * or "merged" to combine all records into one PDF with a bookmark per record.
+     * @param {Boolean} [options.flatten] - Flatten the filled forms. Defaults to true in "merged" mode, as the records would
+     * otherwise share their field values.
+     * @param {String|Function} [options.outputPattern] - File path for the "files" mode, such as "./out/{id}.pdf". Placeholders
+     * are replaced by record fields (dotted names for nested fields), and "{index}" by the record number, starting at 1.
+     * May also be a function that takes the record and its index, and returns the path.
+     * @param {String|Function} [options.bookmarkTitle=Record {index}] - Bookmark title for the "merged" mode, as a pattern or function
+     * like "outputPattern".
+     * @param {Number} [options.concurrency=os.cpus().length] - Maximum number of records filled at the same time.
+     * @param {String} [options.format=fdf] - Form data format, see {@link fillForm}.
+     * @returns {Promise} Promise that resolves an array with an object per record, with "index" and "record" properties, plus
+     * "buffer", "file" or "error". Records that aren't plain objects get an error. In "merged" mode an object with the merged
+     * "buffer" (null when every record failed) and these "results" is resolved instead.
+     */
+    static fillMany(template, records, options) {
+        options = options || {};
+        const mode = options.mode || 'buffers';
+        const titles = [];
+
+        return new Promise(resolve => {
+            if (mode !== 'buffers' && mode !== 'files' && mode !== 'merged') throw new Error(`The fill mode "${mode}" is not supported`);
+            if (!Buffer.isBuffer(template) && !PdfTk.isString(template)) throw new Error('The "fillMany" method requires a template path or buffer');
+            if (!Array.isArray(records)) throw new Error('The "fillMany" method requires an array of records');
+            if (mode === 'files' && !options.outputPattern) throw new Error('The "files" mode requires an "outputPattern" option');
+
+            const flatten = options.hasOwnProperty('flatten') ? options.flatten : mode === 'merged';
+            const files = {};
+
+            resolve(PdfTk._mapLimit(records, options.concurrency || os.cpus().length, (record, index) => {
+                const result = {
+                    index,
+                    record,
+                };
+                return new Promise(resolveFill => {
+                    // Strings would be read as the path of a form data file, and null would fill an empty form
+                    if (!PdfTk._isPlainObject(record)) throw new Error(`The record at index ${index} is not an object`);
+
+                    // Bookmark titles are checked up front, so that an invalid one only fails its own record
+                    if (mode === 'merged') {
+                        titles[index] = PdfTk._formatRecord(options.bookmarkTitle || 'Record {index}', record, index);
+                        PdfTk._infoLine('BookmarkTitle', titles[index]);
+                    }
+
+                    const pdf = PdfTk.input(template, options).fillForm(record, {
+                        format: options.format,
+                    });
+                    if (flatten) pdf.flatten();
+
+                    if (mode !== 'files') {
+                        return resolveFill(pdf.output().then(buffer => {
+                            result.buffer = buffer;
+                        }));
+                    }
+
+                    const file = PdfTk._formatRecord(options.outputPattern, record, index, true);
+                    if (files.hasOwnProperty(file)) throw new Error(`The output file "${file}" is already used by the record at index ${files[file]}`);
+                    files[file] = index;
+                    return resolveFill(pdf.output({
+                        outputDest: file,
+                    }).then(() => {
+                        result.file = file;
+                    }));
+                }).then(() => result, err => {
+                    result.error = err;
+                    return result;
+                });
+            }));
+        }).then(results => {
+            if (mode !== 'merged') return results;
+
+            const filled = results.filter(result => result.buffer);
+            if (!filled.length) {
+                return {
+                    buffer: null,
+                    results,
+                };
+            }
+
+            return PdfTk.merge(filled.map(result => ({
+                source: result.buffer,
+                title: titles[result.index],
+            })), Object.assign({}, options, {
+                bookmarks: true,
+            })).output().then(buffer => {
+                for (const result of filled) delete result.buffer;
+                return {
+                    buffer,
+                    results,
+                };
+            });
+        });
+    }
+
+    /**
+     * Formats a file name or title from a record, see {@link PdfTk.fillMany}.
+     * @static
+     * @private
+     * @param {String|Function} pattern - Pattern with "{field}" placeholders, or a function that takes the record and index.
+     * @param {Object} record - Form data.
+     * @param {Number} index - Record index.
+     * @param {Boolean} [fileName=false] - Replace slashes in the values, so that they can't escape the directory of the pattern.
+     * @returns {String} Formatted string.
+     */
+    static _formatRecord(pattern, record, index, fileName) {
+        if (typeof pattern === 'function') return String(pattern(record, index));
+        return pattern.replace(/\{([^{}]+)\}/g, (match, name) => {
+            if (name === 'index') return String(index + 1);
+            const value = name.split('.').reduce((item, key) => (PdfTk.isObject(item) ? item[key] : undefined), record);
+            if (value === undefined || value === null || value === '') throw new Error(`The record at index ${index} has no "${name}" value`);
+            return fileName ? String(value).replace(/[\\/]/g, '_') : String(value);
+        });
+    }
+
+    /**
+     * Maps items through a function that returns promises, running at most "limit" at a time.
+     * @static
+     * @private
+     * @param {Array} items - Items to map.
+     * @param {Number} limit - Maximum number of pending promises.
+     * @param {Function} fn - Takes an item and its index, and returns a promise.
+     * @returns {Promise} Promise that resolves the results in the order of the items.
+     */
+    static _mapLimit(items, limit, fn) {
+        const results = new Array(items.length);
+        let next = 0;
+        const work = () => {
+            if (next >= items.length) return Promise.resolve();
+            const index = next++;
+            return fn(items[index], index).then(result => {
+                results[index] = result;
+                return work();
+            });
+        };
+        const workers = [];
+        for (let i = 0; i < Math.min(limit, items.length); i++) workers.push(work());
+        return Promise.all(workers).then(() => results);
+    }
+
+    /**
+     * Creates an Express or Koa middleware that fills a PDF form from the request body and sends the result, see {@link respond}.
+     * Form data that isn't a plain object is answered with a 400 status, as strings would be read as a path on the server.
+     * Errors that aren't a {@link PdftkError}, such as a failing template resolver, are passed to "next" in Express and thrown in Koa.
+     * @static
+     * @public
+     * @param {Function} templateResolver - Takes the request (the context in Koa) and returns the template PDF (a path, buffer or
+     * stream), or a promise of it. Paths must not be built from the request as is, look them up in a list of known templates instead.
+     * @param {Object} [options] - Middleware options, plus any instance options (see {@link input}).
+     * @param {Function} [options.data] - Takes the request (the context in Koa) and returns the form data, or a promise of it.
+     * Defaults to the parsed request body, which requires a body parser.
+     * @param {Boolean} [options.allowRawData=false] - Also accept buffers of fdf or xfdf data, such as the body of a raw body parser.
+     * @param {String|Function} [options.filename] - File name of the response, or a function that takes the request and returns it.
+     * @param {Boolean} [options.inline=false] - Show the PDF in the browser instead of downloading it.
+     * @param {Boolean} [options.stream=false] - Stream the response instead of buffering it, see {@link respond}.
+     * @param {Boolean} [options.flatten=false] - Flatten the filled form.
+     * @param {String} [options.format=fdf] - Form data format, see {@link fillForm}.
+     * @returns {Function} Middleware, with the Express (req, res, next) or Koa (ctx, next) signature.
+     * @example app.post('/w9', PdfTk.middleware(() => './forms/w9.pdf', { flatten: true }))
+     */
+    static middleware(templateResolver, options) {
+        options = options || {};
+        if (typeof templateResolver !== 'function') throw new Error('The "middleware" method requires a template resolver function');
+
+        const data = options.data || (req => (PdfTk._isKoaContext(req) ? req.request.body : req.body));
+        const fill = req => new Promise(resolve => resolve(Promise.all([
+            templateResolver(req),
+            data(req),
+        ]))).then(results => {
+            const formData = results[1];
+            if (!PdfTk._isPlainObject(formData) && !(options.allowRawData && Buffer.isBuffer(formData))) return null;
+
+            const pdf = PdfTk.input(results[0], options).fillForm(formData, {
+                format: options.format,
+            });
+            if (options.flatten) pdf.flatten();
+            return pdf;
+        });
+        const responseOptions = req => ({
+            filename: typeof options.filename === 'function' ? options.filename(req) : options.filename,
+            inline: options.inline,
+            stream: options.stream,
+        });
+
+        const send = (pdf, req, res) => {
+            if (!pdf) return PdfTk._sendStatus(res, 400);
+            return pdf.respond(res, responseOptions(req)).catch(err => {
+                if (!(err instanceof PdftkError)) throw err;
+            });
+        };
+
+        return (req, res, next) => {
+            if (PdfTk._isKoaContext(req)) {
+                const ctx = req;
+                return fill(ctx).then(pdf => send(pdf, ctx, ctx));
+            }
+
+            return fill(req).then(pdf => send(pdf, req, res)).catch(next);
+        };
+    }
+
+    /**
+     * Sends a plain text response with the message of an HTTP status, such as "Bad Request".
+     * @static
+     * @private
+     * @param {Object} res - Node.js (or Express) response, or a Koa context.
+     * @param {Number} status - HTTP status code.
+     * @returns {Promise} Promise that resolves once the response is sent.
+     */
+    static _sendStatus(res, status) {
+        const body = http.STATUS_CODES[status];
+        if (PdfTk._isKoaContext(res)) {
+            res.status = status;
+            res.type = 'text/plain';
+            res.body = body;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => {
+            res.statusCode = status;
+            res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+            res.setHeader('Content-Length', Buffer.byteLength(body));
+            res.end(body, resolve);
+        });
+    }
+
+    /**
+     * Koa context check.
+     * @static
+     * @private
+     * @param item - Item to check.
+     * @returns {Boolean} Is Koa context.
+     */
+    static _isKoaContext(item) {
+        return PdfTk.isObject(item) && PdfTk.isObject(item.request) && PdfTk.isObject(item.response) && item.hasOwnProperty('req');
+    }
+
+    /**
+     * Creates a Content-Disposition header value. Non-ASCII file names are added in the extended form, with an ASCII fallback.
+     * @static
+     * @private
+     * @param {String} [filename] - File name.
+     * @param {Boolean} [inline=false] - Show the file in the browser instead of downloading it.
+     * @returns {String} Header value.
+     */
+    static _contentDisposition(filename, inline) {
+        const type = inline ? 'inline' : 'attachment';
+        if (!filename) return type;
+        const fallback = String(filename).replace(/[^\x20-\x7e]|["\\]/g, '_');
+        if (fallback === filename) return `${type}; filename="${filename}"`;
+        return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+    }
+
+    /**
+     * Simple object check. Arrays not included.
+     * @static
+     * @public
+     * @param item - Item to check.
+     * @returns {Boolean} Is object.
+     */
+    static isObject(item) {
+        return typeof item === 'object' && !Array.isArray(item) && item !== null;
+    }
+
+    /**
+     * Simple readable stream check.
+     * @static
+     * @public
+     * @param item - Item to check.
+     * @returns {Boolean} Is readable stream.
+     */
+    static isStream(item) {
+        return item instanceof stream.Readable || (PdfTk.isObject(item) && typeof item.pipe === 'function' && typeof item.on === 'function');
+    }
+
+    /**
+     * Simple string check.
+     * @static
+     * @public
+     * @param item - Item to check.
+     * @returns {Boolean} Is string.
+     */
+    static isString(item) {
+        return typeof item === 'string' || item instanceof String;
+    }
+
+    /**
+     * Returns a buffer from a file.
+     * @static
+     * @public
+     * @param {String|Buffer} file - File to buffer.
+     * @returns {Buffer} Buffered file.
+     */
+    static toBuffer(file) {
+        file = PdfTk.isString(file) ? fs.readFileSync(file) : file;
+        return file;
+    }
+
+    /**
+     * Creates fdf file from JSON input.
+     * Strings are escaped, and written as UTF-16BE when they contain non-ascii characters. Booleans set buttons to their
+     * on/off state (see the "onState" option, as buttons don't all use "Yes"), strings set radio buttons to the state of that
+     * name, arrays select multiple list box values, null clears a field, and nested objects (or dotted names, such as
+     * "address.street") are written as hierarchical fields.
+     * @static
+     * @public
+     * @param {Object} data - JSON data to transform to fdf.
+     * @param {Object} [options] - Fdf options.
+     * @param {String|Object} [options.onState=Yes] - State name used for buttons set to true, or an object that maps field
+     * names (dotted for nested fields) to their on state, such as { agree: 'On' }. The states of a field are listed in the
+     * "options" of {@link getFormSchema}. Fields missing from the object use "Yes".
+     * @param {String|Object} [options.offState=Off] - State name used for buttons set to false, or an object like "onState".
+     * Fields missing from the object use "Off".
+     * @returns {Buffer} Fdf data as a buffer.
+     */
+    static generateFdfFromJSON(data, options) {
+        options = Object.assign({
+            onState: 'Yes',
+            offState: 'Off',
+        }, options);
+
+        const header = Buffer.from('%FDF-1.2\n%\u00e2\u00e3\u00cf\u00d3\n1 0 obj\n<<\n/FDF\n<<\n/Fields [\n', 'latin1');
+        const footer = Buffer.from(']\n>>\n>>\nendobj\ntrailer\n<<\n/Root 1 0 R\n>>\n%%EOF\n', 'latin1');
+
+        return Buffer.concat([
+            header,
+            PdfTk._fdfFields(PdfTk._fieldTree(data), options),
+            footer,
+        ]);
+    }
+
+    /**
+     * Creates xfdf file from JSON input. Accepts the same values as {@link generateFdfFromJSON}.
+     * @static
+     * @public
+     * @param {Object} data - JSON data to transform to xfdf.
+     * @param {Object} [options] - Xfdf options, the "onState" and "offState" of {@link generateFdfFromJSON}.
+     * @returns {Buffer} Xfdf data as a buffer.
+     * @see {@link generateFdfFromJSON}
+     */
+    static generateXfdfFromJSON(data, options) {
+        options = Object.assign({
+            onState: 'Yes',
+            offState: 'Off',
+        }, options);
+
+        const header = '<?xml version="1.0" encoding="UTF-8"?>\n<xfdf xmlns="http://ns.adobe.com/xfdf/" xml:space="preserve">\n<fields>\n';
+        const footer = '</fields>\n</xfdf>\n';
+
+        return Buffer.from(header + PdfTk._xfdfFields(PdfTk._fieldTree(data), options) + footer, 'utf8');
+    }
+
+    /**
+     * Escapes xml special characters.
+     * @static
+     * @private
+     * @param {String} value - Value to escape.
+     * @returns {String} Escaped value.
+     */
+    static _escapeXml(value) {
+        const entities = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            '\'': '&apos;',
+        };
+        return String(value).replace(/[&<>"']/g, char => entities[char]);
+    }
+
+    /**
+     * Writes a field tree as xfdf field elements.
+     * @static
+     * @private
+     * @param {Object} tree - Field tree.
+     * @param {Object} options - Xfdf options.
+     * @param {String} [parent] - Full name of the parent field.
+     * @returns {String} Xfdf fields.
+     */
+    static _xfdfFields(tree, options, parent) {
+        let fields = '';
+        for (const name in tree) {
+            if (tree.hasOwnProperty(name)) {
+                const value = tree[name];
+                const fullName = parent ? `${parent}.${name}` : name;
+                fields += `<field name="${PdfTk._escapeXml(name)}">\n`;
+                if (PdfTk._isPlainObject(value)) {
+                    fields += PdfTk._xfdfFields(value, options, fullName);
+                } else {
+                    for (const item of [].concat(value)) {
+                        if (Array.isArray(item)) throw new Error('Nested arrays are not supported as form field values');
+                        let text = item;
+                        if (item === null || item === undefined) text = '';
+                        else if (typeof item === 'boolean') text = PdfTk._buttonState(item, fullName, options);
+                        fields += `<value>${PdfTk._escapeXml(text)}</value>\n`;
+                    }
+                }
+                fields += '</field>\n';
+            }
+        }
+        return fields;
+    }
+
+    /**
+     * Simple plain object check, used to tell nested form fields apart from field values.
+     * @static
+     * @private
+     * @param item - Item to check.
+     * @returns {Boolean} Is a plain object.
+     */
+    static _isPlainObject(item) {
+        if (!PdfTk.isObject(item)) return false;
+        const proto = Object.getPrototypeOf(item);
+        return proto === Object.prototype || proto === null;
+    }
+
+    /**
+     * Converts form data into a tree of fields, splitting dotted field names into nested objects.
+     * @static
+     * @private
+     * @param {Object} data - Form data.
+     * @returns {Object} Field tree.
+     */
+    static _fieldTree(data) {
+        const tree = {};
+        for (const prop in data) {
+            if (data.hasOwnProperty(prop)) {
+                const names = prop.split('.');
+                const last = names.pop();
+                let node = tree;
+                for (const name of names) {
+                    if (!node.hasOwnProperty(name)) node[name] = {};
+                    if (!PdfTk._isPlainObject(node[name])) throw new Error(`The form field "${prop}" conflicts with the value of "${name}"`);
+                    node = node[name];
+                }
+                const value = PdfTk._isPlainObject(data[prop]) ? PdfTk._fieldTree(data[prop]) : data[prop];
+                if (node.hasOwnProperty(last)) {
+                    if (!PdfTk._isPlainObject(node[last]) || !PdfTk._isPlainObject(value)) throw new Error(`The form field "${prop}" is defined more than once`);
+                    Object.assign(node[last], value);
+                } else {
+                    node[last] = value;
+                }
+            }
+        }
+        return tree;
+    }
+
+    /**
+     * Writes a field tree as fdf field dictionaries.
+     * @static
+     * @private
+     * @param {Object} tree - Field tree.
+     * @param {Object} options - Fdf options.
+     * @param {String} [parent] - Full name of the parent field.
+     * @returns {Buffer} Fdf fields.
+     */
+    static _fdfFields(tree, options, parent) {
+        const fields = [];
+        for (const name in tree) {
+            if (tree.hasOwnProperty(name)) {
+                const value = tree[name];
+                const fullName = parent ? `${parent}.${name}` : name;
+                fields.push(
+                    Buffer.from('<<\n/T '),
+                    PdfTk._fdfString(name)
+                );
+                if (PdfTk._isPlainObject(value)) {
+                    fields.push(
+                        Buffer.from('\n/Kids [\n'),
+                        PdfTk._fdfFields(value, options, fullName),
+                        Buffer.from(']\n>>\n')
+                    );
+                } else {
+                    fields.push(
+                        Buffer.from('\n/V '),
+                        PdfTk._fdfValue(value, options, fullName),
+                        Buffer.from('\n>>\n')
+                    );
+                }
+            }
+        }
+        return Buffer.concat(fields);
+    }
+
+    /**
+     * Writes a field value as an fdf object.
+     * @static
+     * @private
+     * @param {String|Number|Boolean|Array|null} value - Field value.
+     * @param {Object} options - Fdf options.
+     * @param {String} name - Full field name.
+     * @returns {Buffer} Fdf object.
+     */
+    static _fdfValue(value, options, name) {
+        if (value === null || value === undefined) return Buffer.from('()');
+        if (typeof value === 'boolean') return PdfTk._fdfName(PdfTk._buttonState(value, name, options));
+        if (Array.isArray(value)) {
+            const items = [
+                Buffer.from('['),
+            ];
+            value.forEach((item, index) => {
+                if (Array.isArray(item)) throw new Error('Nested arrays are not supported as form field values');
+                if (index) items.push(Buffer.from(' '));
+                items.push(PdfTk._fdfValue(item, options, name));
+            });
+            items.push(Buffer.from(']'));
+            return Buffer.concat(items);
+        }
+        return PdfTk._fdfString(String(value));
+    }
+
+    /**
+     * Returns the state name of a button set to true or false.
+     * @static
+     * @private
+     * @param {Boolean} on - Button value.
+     * @param {String} name - Full field name.
+     * @param {Object} options - Options with "onState" and "offState", either state names or objects that map field names to them.
+     * @returns {String} State name.
+     */
+    static _buttonState(on, name, options) {
+        const states = on ? options.onState : options.offState;
+        if (!PdfTk._isPlainObject(states)) return states;
+        if (states.hasOwnProperty(name)) return states[name];
+        return on ? 'Yes' : 'Off';
+    }
+
+    /**
+     * Writes a pdf string object. Ascii strings are written as is, anything else as UTF-16BE with a byte order mark.
+     * @static
+     * @private
+     * @param {String} value - String to write.
+     * @returns {Buffer} Escaped pdf string, including parentheses.
+     */
+    static _fdfString(value) {
+        let bytes;
+        if (/^[\x00-\x7f]*$/.test(value)) {
+            bytes = Buffer.from(value, 'latin1');
+        } else {
+            bytes = Buffer.from(`\ufeff${value}`, 'utf16le');
+            bytes.swap16();
+        }
+
+        const escaped = [
+            0x28,
+        ];
+        for (const byte of bytes) {
+            if (byte === 0x28 || byte === 0x29 || byte === 0x5c) {
+                escaped.push(0x5c, byte);
+            } else if (byte === 0x0d) {
+                escaped.push(0x5c, 0x72);
+            } else if (byte === 0x0a) {
+                escaped.push(0x5c, 0x6e);
+            } else {
+                escaped.push(byte);
+            }
+        }
+        escaped.push(0x29);
+
+        return Buffer.from(escaped);
+    }
+
+    /**
+     * Writes a pdf name object, escaping delimiters and non-regular characters.
+     * @static
+     * @private
+     * @param {String} value - Name to write, without the leading slash.
+     * @returns {Buffer} Pdf name.
+     */
+    static _fdfName(value) {
+        let name = '/';
+        for (const byte of Buffer.from(String(value), 'utf8')) {
+            const regular = byte > 0x20 && byte < 0x7f && '()<>[]{}/%#'.indexOf(String.fromCharCode(byte)) === -1;
+            name += regular ? String.fromCharCode(byte) : `#${(byte < 0x10 ? '0' : '') + byte.toString(16)}`;
+        }
+        return Buffer.from(name, 'latin1');
+    }
+
+    /**
+     * Parses fdf data, such as the output of the {@link generateFdf} method, into JSON form data.
+     * Hierarchical fields are returned as nested objects, and the result can be passed straight to {@link fillForm}.
+     * @static
+     * @public
+     * @param {Buffer|String} data - Fdf data. Strings are treated as binary.
+     * @returns {Object} Form data.
+     */
+    static parseFdf(data) {
+        const src = Buffer.isBuffer(data) ? data.toString('latin1') : String(data);
+        const fieldsIndex = src.search(/\/Fields[\s[]/);
+        if (fieldsIndex === -1) throw new Error('The fdf data does not contain any fields');
+
+        const state = {
+            src,
+            pos: fieldsIndex + '/Fields'.length,
+        };
+        const fields = PdfTk._parsePdfObject(state);
+        if (!Array.isArray(fields)) throw new Error('The fdf "/Fields" entry is not an array');
+
+        return PdfTk._fdfFieldsToJSON(fields);
+    }
+
+    /**
+     * Converts parsed fdf field dictionaries into JSON form data.
+     * @static
+     * @private
+     * @param {Array} fields - Parsed field dictionaries.
+     * @returns {Object} Form data.
+     */
+    static _fdfFieldsToJSON(fields) {
+        const result = {};
+        for (const field of fields) {
+            if (!PdfTk.isObject(field) || !field.T) continue;
+            const name = PdfTk._pdfValueToJSON(field.T);
+            if (Array.isArray(field.Kids) && field.Kids.some(kid => PdfTk.isObject(kid) && kid.T)) {
+                result[name] = Object.assign(PdfTk._isPlainObject(result[name]) ? result[name] : {}, PdfTk._fdfFieldsToJSON(field.Kids));
+            } else {
+                result[name] = field.hasOwnProperty('V') ? PdfTk._pdfValueToJSON(field.V) : null;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Converts a parsed pdf object into a JSON value. Strings and names become strings.
+     * @static
+     * @private
+     * @param {*} value - Parsed pdf object.
+     * @returns {*} JSON value.
+     */
+    static _pdfValueToJSON(value) {
+        if (Buffer.isBuffer(value)) {
+            if (value[0] === 0xfe && value[1] === 0xff) {
+                const swapped = Buffer.from(value.slice(2));
+                if (swapped.length % 2) return swapped.slice(0, -1).swap16().toString('utf16le');
+                return swapped.swap16().toString('utf16le');
+            }
+            if (value[0] === 0xef && value[1] === 0xbb && value[2] === 0xbf) return value.slice(3).toString('utf8');
+            return value.toString('latin1');
+        }
+        if (Array.isArray(value)) return value.map(PdfTk._pdfValueToJSON);
+        if (PdfTk.isObject(value) && value.hasOwnProperty('name')) return value.name;
+        return value;
+    }
+
+    /**
+     * Reads a single pdf object from the parse state. Strings are returned as buffers, names as { name } objects,
+     * dictionaries as objects and references as null.
+     * @static
+     * @private
+     * @param {Object} state - Parse state with "src" (binary string) and "pos" properties.
+     * @returns {*} Parsed object.
+     */
+    static _parsePdfObject(state) {
+        const src = state.src;
+        const isWhitespace = char => '\0\t\n\f\r '.indexOf(char) !== -1;
+        const isDelimiter = char => '()<>[]{}/%'.indexOf(char) !== -1;
+
+        const skip = () => {
+            while (state.pos < src.length) {
+                if (isWhitespace(src[state.pos])) {
+                    state.pos++;
+                } else if (src[state.pos] === '%') {
+                    while (state.pos < src.length && src[state.pos] !== '\n' && src[state.pos] !== '\r') state.pos++;
+                } else {
+                    break;
+                }
+            }
+        };
+
+        const readToken = () => {
+            const start = state.pos;
+            while (state.pos < src.length && !isWhitespace(src[state.pos]) && !isDelimiter(src[state.pos])) state.pos++;
+            return src.slice(start, state.pos);
+        };
+
+        skip();
+        if (state.pos >= src.length) throw new Error('Unexpected end of fdf data');
+
+        const char = src[state.pos];
+
+        if (src.startsWith('<<', state.pos)) {
+            state.pos += 2;
+            const dict = {};
+            for (;;) {
+                skip();
+                if (state.pos >= src.length) throw new Error('Unterminated fdf dictionary');
+                if (src.startsWith('>>', state.pos)) {
+                    state.pos += 2;
+                    return dict;
+                }
+                const key = PdfTk._parsePdfObject(state);
+                if (!PdfTk.isObject(key) || !key.hasOwnProperty('name')) throw new Error(`Invalid fdf dictionary key at position ${state.pos}`);
+                dict[key.name] = PdfTk._parsePdfObject(state);
+            }
+        }
+
+        if (char === '[') {
+            state.pos++;
+            const array = [];
+            for (;;) {
+                skip();
+                if (state.pos >= src.length) throw new Error('Unterminated fdf array');
+                if (src[state.pos] === ']') {
+                    state.pos++;
+                    return array;
+                }
+                array.push(PdfTk._parsePdfObject(state));
+            }
+        }
+
+        if (char === '<') {
+            const end = src.indexOf('>', state.pos);
+            if (end === -1) throw new Error('Unterminated fdf hex string');
+            let hex = src.slice(state.pos + 1, end).replace(/[^0-9a-f]/gi, '');
+            if (hex.length % 2) hex += '0';
+            state.pos = end + 1;
+            return Buffer.from(hex, 'hex');
+        }
+
+        if (char === '(') {
+            state.pos++;
+            const bytes = [];
+            let depth = 0;
+            for (;;) {
+                if (state.pos >= src.length) throw new Error('Unterminated fdf string');
+                const current = src[state.pos++];
+                if (current === '\\') {
+                    const next = src[state.pos++];
+                    const escapes = {
+                        n: 0x0a,
+                        r: 0x0d,
+                        t: 0x09,
+                        b: 0x08,
+                        f: 0x0c,
+                    };
+                    if (escapes.hasOwnProperty(next)) {
+                        bytes.push(escapes[next]);
+                    } else if (/[0-7]/.test(next)) {
+                        let octal = next;
+                        while (octal.length < 3 && /[0-7]/.test(src[state.pos])) octal += src[state.pos++];
+                        bytes.push(parseInt(octal, 8) & 0xff);
+                    } else if (next === '\r') {
+                        if (src[state.pos] === '\n') state.pos++;
+                    } else if (next !== '\n') {
+                        bytes.push(next.charCodeAt(0));
+                    }
+                } else if (current === '(') {
+                    depth++;
+                    bytes.push(0x28);
+                } else if (current === ')') {
+                    if (!depth) return Buffer.from(bytes);
+                    depth--;
+                    bytes.push(0x29);
+                } else {
+                    bytes.push(current.charCodeAt(0));
+                }
+            }
+        }
+
+        if (char === '/') {
+            state.pos++;
+            const raw = readToken();
+            const name = Buffer.from(raw.replace(/#([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+            return {
+                name: name.toString('utf8'),
+            };
+        }
+
+        const token = readToken();
+        if (!token) throw new Error(`Unexpected character "${char}" in fdf data at position ${state.pos}`);
+        if (token === 'true') return true;
+        if (token === 'false') return false;
+        if (token === 'null') return null;
+        if (!/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) throw new Error(`Unexpected token "${token}" in fdf data`);
+
+        // Indirect references ("1 0 R") cannot be resolved in a field list, so they are read as null
+        const reference = /^\s+\d+\s+R(?=[\s()<>[\]{}/%]|$)/.exec(src.slice(state.pos, state.pos + 32));
+        if (/^\d+$/.test(token) && reference) {
+            state.pos += reference[0].length;
+            return null;
+        }
+        return Number(token);
+    }
+
+    /**
+     * Creates pdf info text file from JSON input.
+     * Accepts either a flat object of info keys and values, or an object with "info", "bookmarks" and "pageLabels" properties.
+     * Bookmarks are objects with "title", "page", and optional "level" and "children" properties. Page labels are objects with
+     * "start" (the first page of the label range), and optional "style", "prefix" and "numStart" (the first number of the range)
+     * properties. The field names of {@link PdfTk.parseDumpData} are accepted too, so parsed data can be passed back in:
+     * "pageNumber" for the bookmark page, and "newIndex", "start" and "numStyle" for page labels that have a "newIndex".
+     * Line breaks are rejected in keys, values, titles and prefixes, as the info file has one record field per line.
+     * @static
+     * @public
+     * @param {Object} data - JSON data to transform to info file.
+     * @returns {Buffer} Info text file as a buffer.
+     */
+    static generateInfoFromJSON(data) {
+        const structured = PdfTk.isObject(data.info) || Array.isArray(data.bookmarks) || Array.isArray(data.pageLabels);
+        const info = structured ? data.info || {} : data;
+        const lines = [];
+
+        for (const prop in info) {
+            if (info.hasOwnProperty(prop)) {
+                lines.push(
+                    'InfoBegin',
+                    PdfTk._infoLine('InfoKey', prop),
+                    PdfTk._infoLine('InfoValue', info[prop])
+                );
+            }
+        }
+
+        if (structured) {
+            PdfTk._bookmarkLines(data.bookmarks || [], 0, lines);
+            for (const label of data.pageLabels || []) {
+                lines.push.apply(lines, PdfTk._pageLabelLines(label));
+            }
+        }
+
+        return Buffer.from(lines.map(line => `${line}\n`).join(''));
+    }
+
+    /**
+     * Writes an info file line.
+     * @static
+     * @private
+     * @param {String} key - Line key, such as "InfoValue".
+     * @param {*} value - Line value.
+     * @returns {String} Info file line.
+     */
+    static _infoLine(key, value) {
+        value = String(value);
+        if (/[\r\n]/.test(value)) throw new Error(`The ${key} ${JSON.stringify(value)} cannot contain line breaks`);
+        return `${key}: ${value}`;
+    }
+
+    /**
+     * Validates bookmarks and writes them as info file records.
+     * @static
+     * @private
+     * @param {Array} bookmarks - Bookmarks to write.
+     * @param {Number} parentLevel - Level of the parent bookmark, 0 for top level bookmarks.
+     * @param {Array} lines - Lines to add the records to.
+     */
+    static _bookmarkLines(bookmarks, parentLevel, lines) {
+        let previousLevel = parentLevel;
+        for (const bookmark of bookmarks) {
+            if (!PdfTk.isObject(bookmark)) throw new Error('Bookmarks must be objects');
+            if (!bookmark.title && bookmark.title !== 0) throw new Error('Bookmarks require a title');
+
+            const level = bookmark.hasOwnProperty('level') ? bookmark.level : parentLevel + 1;
+            if (!Number.isInteger(level) || level < 1) throw new Error(`The bookmark "${bookmark.title}" has an invalid level "${level}"`);
+            if (parentLevel && level !== parentLevel + 1) throw new Error(`The bookmark "${bookmark.title}" must be level ${parentLevel + 1} to be a child of a level ${parentLevel} bookmark`);
+            if (level > previousLevel + 1) throw new Error(`The bookmark "${bookmark.title}" is level ${level}, but follows a level ${previousLevel} bookmark`);
+            const page = bookmark.hasOwnProperty('page') ? bookmark.page : bookmark.pageNumber;
+            if (!Number.isInteger(page) || page < 1) throw new Error(`The bookmark "${bookmark.title}" has an invalid page number "${page}"`);
+
+            lines.push(
+                'BookmarkBegin',
+                PdfTk._infoLine('BookmarkTitle', bookmark.title),
+                `BookmarkLevel: ${level}`,
+                `BookmarkPageNumber: ${page}`
+            );
+            previousLevel = level;
+
+            if (bookmark.children) {
+                if (!Array.isArray(bookmark.children)) throw new Error(`The children of bookmark "${bookmark.title}" must be an array`);
+                PdfTk._bookmarkLines(bookmark.children, level, lines);
+            }
+        }
+    }
+
+    /**
+     * Validates a page label and writes it as an info file record.
+     * @static
+     * @private
+     * @param {Object} label - Page label.
+     * @returns {Array} Record lines.
+     */
+    static _pageLabelLines(label) {
+        const styles = [
+            'DecimalArabicNumerals',
+            'UppercaseRomanNumerals',
+            'LowercaseRomanNumerals',
+            'UppercaseLetters',
+            'LowercaseLetters',
+            'NoNumber',
+        ];
+
+        if (!PdfTk.isObject(label)) throw new Error('Page labels must be objects');
+
+        // Labels with a "newIndex" use the field names of parseDumpData, where "start" is the start number instead
+        const parsed = label.hasOwnProperty('newIndex');
+        const firstPage = parsed ? label.newIndex : label.start;
+        const style = (parsed ? label.numStyle : label.style) || 'DecimalArabicNumerals';
+        const numStart = parsed ? label.start : label.numStart;
+        const start = numStart === undefined ? 1 : numStart;
+
+        if (!Number.isInteger(firstPage) || firstPage < 1) throw new Error(`The page label has an invalid first page "${firstPage}"`);
+        if (styles.indexOf(style) === -1) throw new Error(`The page label style "${style}" is invalid. Choices are: ${styles.join(', ')}`);
+        if (!Number.isInteger(start) || start < 1) throw new Error(`The page label has an invalid start number "${start}"`);
+
+        const lines = [
+            'PageLabelBegin',
+            `PageLabelNewIndex: ${firstPage}`,
+            `PageLabelStart: ${start}`,
+        ];
+        if (label.prefix) lines.push(PdfTk._infoLine('PageLabelPrefix', label.prefix));
+        lines.push(`PageLabelNumStyle: ${style}`);
+
+        return lines;
+    }
+
+    /**
+     * Decodes the html entities pdftk uses to escape non-ascii characters in its (non utf-8) dump output.
+     * @static
+     * @private
+     * @param {String} value - Value to decode.
+     * @returns {String} Decoded value.
+     */
+    static _decodeEntities(value) {
+        const named = {
+            amp: '&',
+            lt: '<',
+            gt: '>',
+            quot: '"',
+            apos: '\'',
+        };
+        return value.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+            if (entity[0] !== '#') return named[entity.toLowerCase()];
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return code > 0xFFFF ? String.fromCodePoint(code) : String.fromCharCode(code);
+        });
+    }
+
+    /**
+     * Splits pdftk dump output into key/value pairs.
+     * @static
+     * @private
+     * @param {Buffer|String} data - Dump output.
+     * @param {Boolean} utf8 - Whether the output came from a utf-8 dump, in which case values are not entity decoded.
+     * @returns {Array} Array of [key, value] pairs. Lines without a value (such as "InfoBegin") have an undefined value.
+     */
+    static _splitDumpLines(data, utf8) {
+        const pairs = [];
+        const lines = data.toString('utf8').split(/\r?\n/);
+        let blankLines = 0;
+        for (const line of lines) {
+            if (!line.trim()) {
+                blankLines++;
+                continue;
+            }
+
+            const index = line.indexOf(':');
+            const key = (index === -1 ? line : line.slice(0, index)).trim();
+            const last = pairs[pairs.length - 1];
+
+            // utf-8 dumps write values as is, so multi-line values continue on the following lines
+            if (DUMP_KEYS.indexOf(key) === -1 && last && last[1] !== undefined) {
+                last[1] += '\n'.repeat(blankLines + 1) + (utf8 ? line : PdfTk._decodeEntities(line));
+                blankLines = 0;
+                continue;
+            }
+            blankLines = 0;
+
+            if (index === -1) {
+                pairs.push([
+                    key,
+                ]);
+                continue;
+            }
+            const value = line.slice(index + 1).replace(/^ /, '');
+            pairs.push([
+                key,
+                utf8 ? value : PdfTk._decodeEntities(value),
+            ]);
+        }
+        return pairs;
+    }
+
+    /**
+     * Parses the output of the dump_data and dump_data_utf8 operations into an object.
+     * @static
+     * @public
+     * @param {Buffer|String} data - Output of the {@link dumpData} or {@link dumpDataUtf8} methods.
+     * @param {Object} [options] - Parse options.
+     * @param {Boolean} [options.utf8=false] - Set when parsing dump_data_utf8 output, which is not html escaped.
+     * @returns {Object} Parsed data with "info", "pdfId", "numberOfPages", "bookmarks", "pageMedia" and "pageLabels" properties.
+     */
+    static parseDumpData(data, options) {
+        options = options || {};
+
+        const result = {
+            info: {},
+            pdfId: [],
+            numberOfPages: null,
+            bookmarks: [],
+            pageMedia: [],
+            pageLabels: [],
+        };
+
+        const toNumber = value => (/^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value);
+        const toNumbers = value => value.trim().split(/\s+/).map(toNumber);
+
+        let infoKey = null;
+        let record = null;
+
+        for (const pair of PdfTk._splitDumpLines(data, options.utf8)) {
+            const key = pair[0];
+            const value = pair[1];
+
+            if (key === 'InfoBegin') {
+                infoKey = null;
+            } else if (key === 'InfoKey') {
+                infoKey = value;
+            } else if (key === 'InfoValue') {
+                if (infoKey !== null) result.info[infoKey] = value;
+            } else if (key === 'PdfID0' || key === 'PdfID1') {
+                result.pdfId[Number(key.slice(-1))] = value;
+            } else if (key === 'NumberOfPages') {
+                result.numberOfPages = Number(value);
+            } else if (key === 'BookmarkBegin') {
+                record = {};
+                result.bookmarks.push(record);
+            } else if (key === 'BookmarkTitle') {
+                record.title = value;
+            } else if (key === 'BookmarkLevel') {
+                record.level = Number(value);
+            } else if (key === 'BookmarkPageNumber') {
+                record.pageNumber = Number(value);
+            } else if (key === 'PageMediaBegin') {
+                record = {};
+                result.pageMedia.push(record);
+            } else if (key === 'PageMediaNumber') {
+                record.number = Number(value);
+            } else if (key === 'PageMediaRotation') {
+                record.rotation = Number(value);
+            } else if (key === 'PageMediaRect') {
+                record.rect = toNumbers(value);
+            } else if (key === 'PageMediaCropRect') {
+                record.cropRect = toNumbers(value);
+            } else if (key === 'PageMediaDimensions') {
+                record.dimensions = toNumbers(value);
+            } else if (key === 'PageLabelBegin') {
+                record = {};
+                result.pageLabels.push(record);
+            } else if (key === 'PageLabelNewIndex') {
+                record.newIndex = Number(value);
+            } else if (key === 'PageLabelStart') {
+                record.start = Number(value);
+            } else if (key === 'PageLabelPrefix') {
+                record.prefix = value;
+            } else if (key === 'PageLabelNumStyle') {
+                record.numStyle = value;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Parses the output of the dump_data_fields and dump_data_fields_utf8 operations into an array of field descriptors.
+     * Field flags are decoded according to the PDF specification.
+     * @static
+     * @public
+     * @param {Buffer|String} data - Output of the {@link dumpDataFields} or {@link dumpDataFieldsUtf8} methods.
+     * @param {Object} [options] - Parse options.
+     * @param {Boolean} [options.utf8=false] - Set when parsing dump_data_fields_utf8 output, which is not html escaped.
+     * @returns {Array} Field descriptors.
+     */
+    static parseDumpDataFields(data, options) {
+        options = options || {};
+
+        const fields = [];
+        let field = null;
+
+        for (const pair of PdfTk._splitDumpLines(data, options.utf8)) {
+            const key = pair[0];
+            const value = pair[1];
+
+            if (key === '---') {
+                field = null;
+                continue;
+            }
+            if (!field) {
+                field = {
+                    name: null,
+                    alternateName: null,
+                    type: null,
+                    flags: 0,
+                    value: null,
+                    defaultValue: null,
+                    justification: null,
+                    maxLength: null,
+                    options: [],
+                };
+                fields.push(field);
+            }
+
+            if (key === 'FieldName') {
+                field.name = value;
+            } else if (key === 'FieldNameAlt') {
+                field.alternateName = value;
+            } else if (key === 'FieldType') {
+                field.type = value;
+            } else if (key === 'FieldFlags') {
+                field.flags = Number(value);
+            } else if (key === 'FieldValue') {
+                // Multi-select list boxes report one line per selected value
+                field.value = field.value === null ? value : [].concat(field.value, value);
+            } else if (key === 'FieldValueDefault') {
+                field.defaultValue = value;
+            } else if (key === 'FieldJustification') {
+                field.justification = value;
+            } else if (key === 'FieldMaxLength') {
+                field.maxLength = Number(value);
+            } else if (key === 'FieldStateOption') {
+                field.options.push(value);
+            }
+        }
+
+        for (const descriptor of fields) {
+            Object.assign(descriptor, PdfTk._decodeFieldFlags(descriptor.type, descriptor.flags));
+        }
+
+        return fields;
+    }
+
+    /**
+     * Decodes form field flags into booleans.
+     * @static
+     * @private
+     * @param {String} type - Field type (Text, Button, Choice or Signature).
+     * @param {Number} flags - Field flags bit set.
+     * @returns {Object} Decoded flags.
+     * @see {@link https://www.adobe.com/content/dam/acom/en/devnet/pdf/pdfs/PDF32000_2008.pdf} section 12.7.3.1 and onwards.
+     */
+    static _decodeFieldFlags(type, flags) {
+        const bit = position => (flags & (1 << (position - 1))) !== 0;
+
+        const decoded = {
+            readOnly: bit(1),
+            required: bit(2),
+            noExport: bit(3),
+            multiline: false,
+            password: false,
+            checkbox: false,
+            radio: false,
+            pushButton: false,
+            combo: false,
+            multiSelect: false,
+        };
+
+        if (type === 'Text') {
+            decoded.multiline = bit(13);
+            decoded.password = bit(14);
+        } else if (type === 'Button') {
+            decoded.radio = bit(16);
+            decoded.pushButton = bit(17);
+            decoded.checkbox = !decoded.radio && !decoded.pushButton;
+        } else if (type === 'Choice') {
+            decoded.combo = bit(18);
+            decoded.multiSelect = bit(22);
+        }
+
+        return decoded;
+    }
+
+    /**
+     * Copies the instance, so that a preconfigured command can be used as a template. Methods called on the copy
+     * don't change the original, and both can run at the same time.
+     * @public
+     * @returns {Object} PdfTk class instance.
+     * @example const base = PdfTk.input(template).flatten().ownerPw(secret);
+     * base.clone().fillForm(data).output();
+     */
+    clone() {
+        return this._copy(this.args);
+    }
+
+    /**
+     * Runs a method that is not chainable on a copy of the instance, so that the builder stays unchanged and can be
+     * run again. Warnings of the run are copied back.
+     * @private
+     * @param {Function} fn - Takes the copy and returns a promise.
+     * @returns {Promise} Promise of the function.
+     */
+    _runCopy(fn) {
+        const run = this.clone();
+        return fn(run).then(result => {
+            this.warnings = run.warnings;
+            return result;
+        });
+    }
+
+    /**
+     * Starts a new stage of the pipeline. The output of the previous stage becomes the input of the new one, and every
+     * method called afterwards applies to the new stage. Stages run as sequential pdftk processes when {@link output} is called.
+     * A new stage is started automatically when an operation is called while the current stage already has one.
+     * @public
+     * @chainable
+     * @returns {Object} PdfTk class instance.
+     * @example PdfTk.input(form).fillForm(data).flatten().stamp(logo).next().userPw('secret').output()
+     */
+    next() {
+        const previous = new PdfTk([], this.options);
+        for (const key of [
+            'src',
+            'args',
+            'postArgs',
+            'operands',
+            'handles',
+            'parser',
+            'operation',
+            'previous',
+            'inputPasswords',
+        ]) {
+            previous[key] = this[key];
+        }
+
+        const input = PdfTk._createOperand(runOptions => previous.output(runOptions), '');
+
+        // Page counts given for the original input don't apply to the intermediate result
+        this.options = Object.assign({}, this.options, {
+            pageCounts: null,
+        });
+        this.src = [
+            input,
+        ];
+        this.args = [
+            input,
+        ];
+        this.postArgs = [];
+        this.operands = [
+            input,
+        ];
+        this.handles = [];
+        this.parser = null;
+        this.operation = null;
+        this.previous = previous;
+        this.inputPasswords = [];
+
+        return this;
+    }
+
+    /**
+     * Sets the operation of the current stage, starting a new stage if it already has one.
+     * @private
+     * @param {String} operation - Operation name.
+     */
+    _startOperation(operation) {
+        if (this.operation) this.next();
+        this.operation = operation;
+    }
+
+    /**
+     * Creates a command that takes a file as its argument.
+     * @private
+     * @param {String} command - Command to create.
+     * @param {String|Buffer|Stream|Function} file - Path, buffer, readable stream, or a function that returns a promise of a buffer.
+     * @returns {Object} PdfTk class instance.
+     */
+    _commandWithOperand(command, file) {
+        this._startOperation(command);
+        let arg = file;
+        if (Buffer.isBuffer(file) || PdfTk.isStream(file) || typeof file === 'function') {
+            arg = PdfTk._createOperand(file, '');
+            this.operands.push(arg);
+        } else if (!PdfTk.isString(file) || !fs.existsSync(path.resolve(this.options.cwd, file))) {
+            throw new Error(`The "${command}" file "${file}" does not exist`);
+        }
+        this.args.push(
+            command,
+            arg
+        );
+        return this;
+    }
+
+    /**
+     * Creates an operand for a buffer or stream, to be resolved to the stdin or a temp file when the command runs.
+     * @static
+     * @private
+     * @param {Buffer|Stream|Function} source - Operand contents, or a function that takes the run options and returns a promise of the contents.
+     * @param {String} prefix - Argument prefix, such as a handle.
+     * @param {String} [name] - File name for the temp file. Named operands are never passed through the stdin.
+     * @returns {Object} Operand.
+     */
+    static _createOperand(source, prefix, name) {
+        return {
+            source,
+            prefix,
+            name: name || null,
+            spool: false,
+            file: null,
+        };
+    }
+
+    /**
+     * Operand check, for telling operands apart from plain arguments.
+     * @static
+     * @private
+     * @param item - Item to check.
+     * @returns {Boolean} Is operand.
+     */
+    static _isOperand(item) {
+        return PdfTk.isObject(item) && item.hasOwnProperty('source') && item.hasOwnProperty('prefix');
+    }
+
+    /**
+     * Returns a new unique temp file path.
+     * @static
+     * @private
+     * @param {String} tmpDir - Temp directory.
+     * @returns {String} Temp file path.
+     */
+    static _tmpPath(tmpDir) {
+        PdfTk._sweepOnExit();
+        const uniqueId = crypto.randomBytes(16).toString('hex');
+        return path.join(tmpDir, `node-pdftk-tmp-${uniqueId}.pdf`);
+    }
+
+    /**
+     * Chooses the stdin operand, preferring streams over buffers, and writes every other operand to a temp file.
+     * Rejects when a stream was already read by an earlier run.
+     * @private
+     * @returns {Promise} Promise that resolves the stdin operand (or null) once all temp files are written.
+     */
+    _prepareOperands() {
+        const streams = this.operands.map(operand => operand.source).filter(PdfTk.isStream);
+        if (streams.some(source => consumedStreams.has(source))) {
+            return Promise.reject(new Error('An input stream was already read by a previous run. Streams can only be read once, use a path or a buffer to run a command more than once'));
+        }
+        streams.forEach(source => consumedStreams.add(source));
+
+        return Promise.all(this.operands.map(operand => {
+            // Operands produced by a previous command
+            if (typeof operand.source !== 'function') return null;
+            return operand.source(this.runOptions || {}).then(source => {
+                operand.source = source;
+            });
+        })).then(() => this._writeOperands());
+    }
+
+    /**
+     * Chooses the operand that is passed through the stdin, preferring streams over buffers.
+     * @static
+     * @private
+     * @param {Array} operands - Operands of the command.
+     * @returns {Object} Stdin operand, or null.
+     */
+    static _stdinOperand(operands) {
+        // Named operands must keep their file name, and spooled operands must be readable more than once,
+        // so neither can be passed through the stdin
+        const unnamed = operands.filter(operand => !operand.name && !operand.spool);
+        return unnamed.find(operand => PdfTk.isStream(operand.source)) || unnamed[0] || null;
+    }
+
+    /**
+     * Writes the operands that don't go through the stdin to temp files. When a write fails, the others are still waited
+     * for, so that every temp file and directory is recorded before they are cleaned up.
+     * @private
+     * @returns {Promise} Promise that resolves the stdin operand (or null) once all temp files are written.
+     */
+    _writeOperands() {
+        const stdin = PdfTk._stdinOperand(this.operands);
+        let error = null;
+
+        return Promise.all(this.operands.filter(operand => operand !== stdin).map(operand => {
+            const tmpFile = operand.name ? PdfTk._makeTempDir(this.options.tmpDir).then(dir => {
+                this.tmpDirs.push(dir);
+                liveTempFiles.add(dir);
+                return path.join(dir, operand.name);
+            }) : Promise.resolve(PdfTk._tmpPath(this.options.tmpDir));
+
+            return tmpFile.then(file => new Promise((resolve, reject) => {
+                operand.file = file;
+                this.tmpFiles.push(file);
+                liveTempFiles.add(file);
+
+                // Only readable by the current user, as the files may hold form data or passwords
+                if (Buffer.isBuffer(operand.source)) {
+                    return fs.writeFile(file, operand.source, {
+                        mode: 0o600,
+                    }, err => (err ? reject(err) : resolve()));
+                }
+
+                const writeStream = fs.createWriteStream(file, {
+                    mode: 0o600,
+                });
+                operand.source.on('error', err => {
+                    // Piping doesn't close the file when the source fails
+                    writeStream.destroy();
+                    reject(err);
+                });
+                writeStream.on('error', err => {
+                    operand.source.unpipe(writeStream);
+                    reject(err);
+                });
+                writeStream.on('finish', resolve);
+                operand.source.pipe(writeStream);
+            })).catch(err => {
+                error = error || err;
+            });
+        })).then(() => {
+            if (error) throw error;
+            return stdin;
+        });
+    }
+
+    /**
+     * Resolves the command arguments, replacing operands with the stdin ("-") or their temp files.
+     * @private
+     * @returns {Array} Command arguments.
+     */
+    _resolveArgs() {
+        const args = [];
+        for (const arg of this.args) {
+            if (PdfTk._isOperand(arg)) {
+                args.push(`${arg.prefix}${arg.file || '-'}`);
+            } else if (PdfTk._isDeferred(arg)) {
+                args.push.apply(args, arg.args || []);
+            } else {
+                args.push(arg);
+            }
+        }
+        return args;
+    }
+
+    /**
+     * Creates arguments that depend on the page count of the input, resolved when the command runs.
+     * @private
+     * @param {Function} resolver - Function that takes the page count and returns the arguments.
+     * @returns {Object} Deferred arguments.
+     */
+    _deferByPageCount(resolver) {
+        const input = this.src[0];
+        if (PdfTk._isOperand(input)) input.spool = true;
+        return {
+            deferred: stage => stage._pageCount(stage.src[0]).then(resolver),
+            args: null,
+        };
+    }
+
+    /**
+     * Deferred arguments check.
+     * @static
+     * @private
+     * @param item - Item to check.
+     * @returns {Boolean} Is deferred arguments.
+     */
+    static _isDeferred(item) {
+        return PdfTk.isObject(item) && typeof item.deferred === 'function';
+    }
+
+    /**
+     * Resolves all deferred arguments.
+     * @private
+     * @returns {Promise} Promise that resolves once all deferred arguments are resolved.
+     */
+    _resolveDeferred() {
+        return Promise.all(this.args.filter(PdfTk._isDeferred).map(arg => arg.deferred(this).then(args => {
+            arg.args = args;
+        })));
+    }
+
+    /**
+     * Reads the page count of an input, from the "pageCounts" option when given, or else through dump_data.
+     * @private
+     * @param {String|Object} input - Input argument or operand. Operands must already be written to their temp files.
+     * @returns {Promise} Promise that resolves the page count.
+     */
+    _pageCount(input) {
+        const prefix = PdfTk._isOperand(input) ? input.prefix : /^([A-Z]+=)?/.exec(input)[0];
+        const handle = prefix.slice(0, -1) || 'A';
+        const pageCounts = this.options.pageCounts || {};
+        if (pageCounts[handle]) return Promise.resolve(pageCounts[handle]);
+
+        let source;
+        if (PdfTk._isOperand(input)) source = Buffer.isBuffer(input.source) ? input.source : input.file;
+        else source = input.slice(prefix.length);
+
+        const dump = PdfTk.input(source, this.options).dumpData();
+        const password = this._inputPassword(handle, this.src.indexOf(input));
+        if (password !== null) dump.inputPw(password);
+
+        return dump.output({
+            parse: true,
+        }).then(data => data.numberOfPages);
+    }
+
+    /**
+     * Finds the password of an input, by its handle or else by its position.
+     * @private
+     * @param {String} handle - Input handle.
+     * @param {Number} index - Position of the input.
+     * @returns {String} Password, or null.
+     */
+    _inputPassword(handle, index) {
+        const byHandle = this.inputPasswords.find(entry => entry.handle === handle);
+        if (byHandle) return byHandle.password;
+        const inOrder = this.inputPasswords.filter(entry => !entry.handle);
+        if (inOrder.length === 1) return inOrder[0].password;
+        return inOrder[index] ? inOrder[index].password : null;
+    }
+
+    /**
+     * Writes the operands and resolves deferred arguments, then spawns the command once the pool has a free slot.
+     * The slot is held until the process exits.
+     * @private
+     * @param {Object} options - Run options.
+     * @param {Number} [options.priority] - Queue priority, see {@link Pool#run}.
+     * @param {Number} [options.queueTimeout] - Queue timeout, see {@link Pool#run}.
+     * @param {Number} [options.timeout] - Milliseconds the process may run before it is killed.
+     * @param {Object} [options.signal] - AbortSignal that kills the process.
+     * @param {Function} onChild - Called with the child process once spawned, to consume its stdout.
+     * @returns {Promise} Promise that resolves once the process exits successfully. Errors of input streams reject it.
+     */
+    _execute(options, onChild) {
+        const pool = this.options.pool || defaultPool;
+        let inputError = null;
+        const interrupted = () => {
+            if (options.signal && options.signal.aborted) throw PdftkError._aborted();
+            if (inputError) throw inputError;
+        };
+
+        // Input streams may fail at any time, such as an aborted upload, which must not crash the process
+        for (const operand of this.operands) {
+            if (PdfTk.isStream(operand.source)) {
+                operand.source.on('error', err => {
+                    inputError = inputError || err;
+                });
+            }
+        }
+
+        return new Promise(resolve => resolve(interrupted()))
+            .then(() => this._prepareOperands())
+            .then(stdin => this._resolveDeferred().then(() => stdin))
+            .then(stdin => pool.run(() => {
+                interrupted();
+                const child = this._spawn(stdin);
+                onChild(child);
+                return this._waitForExit(child, options, stdin && PdfTk.isStream(stdin.source) ? stdin.source : null);
+            }, {
+                priority: options.priority,
+                queueTimeout: options.queueTimeout,
+                signal: options.signal,
+            }));
+    }
+
+    /**
+     * Spawns the command and writes the stdin.
+     * @private
+     * @param {Object} stdin - Operand to write to the stdin, or null.
+     * @returns {Object} Child process.
+     */
+    _spawn(stdin) {
+        const child = spawn(this.command, this._resolveArgs(), {
+            cwd: this.options.cwd,
+            env: this.options.env ? Object.assign({}, process.env, this.options.env) : process.env,
+        });
+
+        // pdftk may exit before reading all of the stdin, the exit code reports the actual error
+        child.stdin.on('error', () => {});
+
+        if (stdin && PdfTk.isStream(stdin.source)) {
+            stdin.source.pipe(child.stdin);
+        } else if (stdin) {
+            child.stdin.write(stdin.source);
+            child.stdin.end();
+        } else {
+            child.stdin.end();
+        }
+
+        return child;
+    }
+
+    /**
+     * Runs the command with its output in a new temp directory, then reads and removes the directory.
+     * @private
+     * @param {String} outputName - Output name within the temp directory, such as a file name pattern. Empty for the directory itself.
+     * @returns {Promise} Promise that resolves an object that maps the output file names to buffers.
+     */
+    _outputToTempDir(outputName) {
+        return PdfTk._makeTempDir(this.options.tmpDir).then(dir => {
+            liveTempFiles.add(dir);
+            const removeDir = () => PdfTk._removeDir(dir).then(() => {
+                liveTempFiles.delete(dir);
+            });
+            return this.output(null, path.join(dir, outputName))
+                .then(() => PdfTk._readDir(dir))
+                .then(files => removeDir().then(() => files), err => removeDir().then(() => {
+                    throw err;
+                }));
+        });
+    }
+
+    /**
+     * Creates a new temp directory.
+     * @static
+     * @private
+     * @param {String} tmpDir - Parent temp directory.
+     * @returns {Promise} Promise that resolves the directory path.
+     */
+    static _makeTempDir(tmpDir) {
+        PdfTk._sweepOnExit();
+        return new Promise((resolve, reject) => {
+            fs.mkdtemp(path.join(tmpDir, 'node-pdftk-tmp-'), (err, dir) => (err ? reject(err) : resolve(dir)));
+        });
+    }
+
+    /**
+     * Reads all files in a directory.
+     * @static
+     * @private
+     * @param {String} dir - Directory to read.
+     * @returns {Promise} Promise that resolves an object that maps file names to buffers.
+     */
+    static _readDir(dir) {
+        return new Promise((resolve, reject) => {
+            fs.readdir(dir, (err, names) => (err ? reject(err) : resolve(names)));
+        }).then(names => Promise.all(names.map(name => new Promise((resolve, reject) => {
+            fs.readFile(path.join(dir, name), (err, buffer) => (err ? reject(err) : resolve(buffer)));
+        }))).then(buffers => {
+            const files = {};
+            names.forEach((name, index) => {
+                files[name] = buffers[index];
+            });
+            return files;
+        }));
+    }
+
+    /**
+     * Removes a temp directory and the files in it.
+     * @static
+     * @private
+     * @param {String} dir - Directory to remove.
+     * @returns {Promise} Promise that resolves once the directory is removed.
+     */
+    static _removeDir(dir) {
+        return new Promise((resolve, reject) => {
+            fs.readdir(dir, (err, names) => (err ? reject(err) : resolve(names)));
+        }).then(names => Promise.all(names.map(name => new Promise((resolve, reject) => {
+            fs.unlink(path.join(dir, name), err => (err ? reject(err) : resolve()));
+        })))).then(() => new Promise((resolve, reject) => {
+            fs.rmdir(dir, err => (err ? reject(err) : resolve()));
+        }));
+    }
+
+    /**
+     * Adds an operation that takes page ranges, validating them first. Starts a new stage if needed, see {@link next}.
+     * @private
+     * @param {String} command - Operation to add.
+     * @param {String|Object|Array} ranges - Page ranges, either as strings or {@link PageRange} instances.
+     * @returns {Object} PdfTk class instance.
+     */
+    _commandWithRanges(command, ranges) {
+        this._startOperation(command);
+        return this._addRanges(command, ranges);
+    }
+
+    /**
+     * Adds an operation that takes page ranges to the current stage, validating the ranges first.
+     * @private
+     * @param {String} command - Operation to add.
+     * @param {String|Object|Array} ranges - Page ranges, either as strings or {@link PageRange} instances.
+     * @returns {Object} PdfTk class instance.
+     */
+    _addRanges(command, ranges) {
+        ranges = ranges === undefined || ranges === null ? [] : [].concat(ranges);
+
+        const tokens = [];
+        for (const range of ranges) {
+            for (const token of String(range).split(/\s+/)) {
+                if (token) tokens.push(this._validateRange(token));
+            }
+        }
+
+        this.args.push(command);
+        for (const token of tokens) {
+            this.args.push(token);
+        }
+        return this;
+    }
+
+    /**
+     * Validates a page range against the syntax, the input handles and, when known, the page counts.
+     * When no handles are declared, the inputs can be referenced as A, B, C, and so on.
+     * @private
+     * @param {String} range - Page range.
+     * @returns {String} Page range.
+     */
+    _validateRange(range) {
+        const match = /^([A-Z]+)?(?:(r?\d+|end)(?:-(r?\d+|end))?)?(even|odd)?(north|south|east|west|left|right|down)?$/.exec(range);
+        if (!match) throw new Error(`The page range "${range}" is invalid`);
+
+        const known = this.handles.length ? this.handles : this.src.map((src, index) => String.fromCharCode(65 + index));
+        const handle = match[1] || known[0];
+        if (match[1] && known.indexOf(handle) === -1) throw new Error(`The page range "${range}" uses the handle "${handle}", which is not an input. Inputs are: ${known.join(', ')}`);
+
+        const pageCounts = this.options.pageCounts || {};
+        const pageCount = pageCounts[handle];
+        for (const page of [
+            match[2],
+            match[3],
+        ]) {
+            if (!page || page === 'end') continue;
+            const number = parseInt(page.replace(/^r/, ''), 10);
+            if (number < 1) throw new Error(`The page range "${range}" is invalid, pages start at 1`);
+            if (pageCount && number > pageCount) throw new Error(`The page range "${range}" is out of bounds, the input "${handle}" has ${pageCount} pages`);
+        }
+
+        return range;
+    }
+
+    /**
+     * Removes the temp files and directories of the run. Safe to call more than once, as the files are forgotten once removed.
+     * @private
+     * @returns {Promise} Promise that resolves once the files are removed. Never rejects.
+     */
+    _cleanUpTempFiles() {
+        const tmpFiles = this.tmpFiles;
+        const tmpDirs = this.tmpDirs;
+        this.tmpFiles = [];
+        this.tmpDirs = [];
+
+        // Files first, as named operands are written inside the temp directories
+        return Promise.all(tmpFiles.map(PdfTk._removeTempFile))
+            .then(() => Promise.all(tmpDirs.map(PdfTk._removeTempFile)))
+            .then(() => undefined);
+    }
+
+    /**
+     * Removes a temp file or directory.
+     * @static
+     * @private
+     * @param {String} target - Path to remove.
+     * @returns {Promise} Promise that resolves whether the path was removed. Never rejects, as failing to clean up
+     * shouldn't fail the command. Paths that weren't removed are tried again on process exit.
+     */
+    static _removeTempFile(target) {
+        return new Promise((resolve, reject) => {
+            fs.lstat(target, (err, stats) => (err ? reject(err) : resolve(stats)));
+        }).then(stats => {
+            if (stats.isDirectory()) return PdfTk._removeDir(target);
+            return new Promise((resolve, reject) => {
+                fs.unlink(target, err => (err ? reject(err) : resolve()));
+            });
+        }).then(() => {
+            liveTempFiles.delete(target);
+            return true;
+        }, err => {
+            if (err.code !== 'ENOENT') return false;
+            liveTempFiles.delete(target);
+            return true;
+        });
+    }
+
+    /**
+     * Registers the removal of leftover temp files on process exit, once.
+     * @static
+     * @private
+     */
+    static _sweepOnExit() {
+        if (sweepRegistered) return;
+        sweepRegistered = true;
+
+        // Exit listeners can only do synchronous work
+        process.on('exit', () => {
+            for (const target of liveTempFiles) {
+                try {
+                    if (fs.lstatSync(target).isDirectory()) {
+                        for (const name of fs.readdirSync(target)) fs.unlinkSync(path.join(target, name));
+                        fs.rmdirSync(target);
+                    } else {
+                        fs.unlinkSync(target);
+                    }
+                } catch (err) {
+                    // Nothing more can be done on the way out
+                }
+            }
+        });
+    }
+
+    /**
+     * Removes temp files and directories left behind by processes that crashed or were killed. Files of commands that are
+     * still running in this process are kept.
+     * @static
+     * @public
+     * @param {Number} [maxAge=3600000] - Minimum age in milliseconds, by modification time, of the files to remove.
+     * Keep it above the run time of the longest command when other processes share the temp directory.
+     * @param {String} [tmpDir] - Directory to clean, defaults to the configured temp directory.
+     * @returns {Promise} Promise that resolves the removed paths.
+     */
+    static cleanupStaleTempFiles(maxAge, tmpDir) {
+        maxAge = maxAge === undefined ? 3600000 : maxAge;
+        tmpDir = tmpDir || PdfTk._resolveOptions().tmpDir;
+
+        return new Promise((resolve, reject) => {
+            fs.readdir(tmpDir, (err, names) => (err ? reject(err) : resolve(names)));
+        }).then(names => Promise.all(names.filter(name => name.startsWith('node-pdftk-tmp-')).map(name => {
+            const target = path.join(tmpDir, name);
+            if (liveTempFiles.has(target)) return null;
+            return new Promise(resolve => {
+                fs.lstat(target, (err, stats) => resolve(err ? null : stats));
+            }).then(stats => {
+                if (!stats || Date.now() - stats.mtime.getTime() < maxAge) return null;
+                return PdfTk._removeTempFile(target).then(removed => (removed ? target : null));
+            });
+        }))).then(removed => removed.filter(target => target));
+    }
+
+    /**
+     * Run the command.
+     * @public
+     * @param {String|Object} writeFile - Path to the output file to write from stdout. If used with the "outputDest" parameter, two files will be written.
+     * May also be an options object with "writeFile", "outputDest" and "parse" properties, plus the "priority" and "queueTimeout"
+     * options of {@link Pool#run} for when the process has to wait for a free slot in the pool. A "timeout" in milliseconds or an
+     * AbortSignal as "signal" kill the process, rejecting with a "TIMEOUT" or "ABORTED" {@link PdftkError}. Setting a timeout
+     * adds "dont_ask" unless {@link doAsk} or {@link dontAsk} were called. Earlier pipeline stages run with the same options.
+     * The "dryRun" option resolves the "args" and "command" of the run instead, with passwords redacted.
+     * @param {String} outputDest - The output file to write without stdout. When present, the returning promise will not contain the output buffer. If used with the "writeFile" parameter, two files will be written.
+     * @returns {Promise} Promise that resolves the output buffer, if "outputDest" is not given. When the "parse" option is set, the parsed output is resolved instead.
+     */
+    output(writeFile, outputDest) {
+        const options = PdfTk.isObject(writeFile) ? writeFile : {
+            writeFile,
+            outputDest,
+        };
+        writeFile = options.writeFile;
+
+        return new Promise((resolve, reject) => {
+            if (options.parse && !this.parser) throw new Error('The "parse" option is not supported by this operation');
+
+            if (options.dryRun) {
+                return resolve({
+                    args: PdfTk._redactArgs(this.toArgs(options)),
+                    command: this.toCommandString(options),
+                });
+            }
+
+            const run = this._forRun(options);
+            const result = [];
+
+            return run._execute(options, child => {
+                child.stdout.on('data', data => result.push(data));
+            }).then(() => {
+                this.warnings = run.warnings;
+                const output = Buffer.concat(result);
+                const parsed = options.parse ? this.parser(output) : output;
+                if (writeFile) {
+                    return fs.writeFile(writeFile, output, err => {
+                        if (err) return reject(err);
+                        return resolve(parsed);
+                    });
+                }
+                return resolve(parsed);
+            }).catch(err => run._cleanUpTempFiles().then(() => reject(err)));
+        });
+    }
+
+    /**
+     * Returns the command arguments of a run, with the output and the options that follow it.
+     * @private
+     * @param {Object} options - Options passed to {@link output}.
+     * @returns {Array} Command arguments, which may still contain operands and deferred arguments.
+     */
+    _outputArgs(options) {
+        const passwords = this.inputPasswords.length ? [
+            'input_pw',
+        ].concat(this.inputPasswords.map(entry => (entry.handle ? `${entry.handle}=${entry.password}` : entry.password))) : [];
+
+        // Passwords follow the input files
+        const args = this.args.slice(0, this.src.length).concat(passwords, this.args.slice(this.src.length), 'output', options.outputDest || '-', this.postArgs);
+        if (options.timeout && this.postArgs.indexOf('do_ask') === -1 && this.postArgs.indexOf('dont_ask') === -1) {
+            args.push('dont_ask');
+        }
+        return args;
+    }
+
+    /**
+     * Copies the current stage for a single run, so that the builder can be inspected and run again afterwards.
+     * @private
+     * @param {Object} options - Options passed to {@link output} or {@link outputStream}.
+     * @returns {Object} PdfTk class instance.
+     */
+    _forRun(options) {
+        const run = this._copy(this._outputArgs(options));
+        run.runOptions = {
+            priority: options.priority,
+            queueTimeout: options.queueTimeout,
+            timeout: options.timeout,
+            signal: options.signal,
+        };
+        return run;
+    }
 
-        return new PdfTk(input);
+    /**
+     * Copies the current stage with the given arguments. Operands and deferred arguments are copied too, as they hold
+     * the temp files and page counts of a run. Earlier pipeline stages are shared, as nothing changes them once started.
+     * @private
+     * @param {Array} args - Command arguments of the copy.
+     * @returns {Object} PdfTk class instance.
+     */
+    _copy(args) {
+        const copies = new Map();
+        const copy = item => {
+            if (!PdfTk._isOperand(item) && !PdfTk._isDeferred(item)) return item;
+            if (!copies.has(item)) {
+                copies.set(item, Object.assign({}, item, PdfTk._isOperand(item) ? {
+                    file: null,
+                } : {
+                    args: null,
+                }));
+            }
+            return copies.get(item);
+        };
+
+        const stage = new PdfTk([], this.options);
+        stage.src = this.src.map(copy);
+        stage.args = args.map(copy);
+        stage.postArgs = this.postArgs.slice();
+        stage.operands = this.operands.map(copy);
+        stage.handles = this.handles.slice();
+        stage.parser = this.parser;
+        stage.operation = this.operation;
+        stage.previous = this.previous;
+        stage.inputPasswords = this.inputPasswords.slice();
+        return stage;
     }
 
     /**
-     * Simple object check. Arrays not included.
-     * @static
+     * Returns the arguments the command would run with, without running it. Buffers and streams that would be written
+     * to temp files are shown as "<tmp>", and arguments that depend on the page count of the input as "<pages>".
+     * Passwords are not redacted.
      * @public
-     * @param item - Item to check.
-     * @returns {Boolean} Is object.
+     * @param {Object} [options] - Options as passed to {@link output}, such as "outputDest" and "timeout".
+     * @returns {Array} Command arguments, without the binary.
      */
-    static isObject(item) {
-        return typeof item === 'object' && !Array.isArray(item) && item !== null;
+    toArgs(options) {
+        options = options || {};
+        const stdin = PdfTk._stdinOperand(this.operands);
+        return this._outputArgs(options).map(arg => {
+            if (PdfTk._isOperand(arg)) {
+                if (arg === stdin) return `${arg.prefix}-`;
+                return arg.name ? `${arg.prefix}<tmp>/${arg.name}` : `${arg.prefix}<tmp>`;
+            }
+            if (PdfTk._isDeferred(arg)) return '<pages>';
+            return String(arg);
+        });
     }
 
     /**
-     * Simple string check.
-     * @static
+     * Returns the command as a shell command line, with passwords redacted. Earlier pipeline stages are piped in.
      * @public
-     * @param item - Item to check.
-     * @returns {Boolean} Is string.
+     * @param {Object} [options] - Options as passed to {@link output}, see {@link toArgs}.
+     * @returns {String} Command line.
      */
-    static isString(item) {
-        return typeof item === 'string' || item instanceof String;
+    toCommandString(options) {
+        options = options || {};
+        const command = [
+            this.command,
+        ].concat(PdfTk._redactArgs(this.toArgs(options))).map(PdfTk._shellQuote).join(' ');
+        if (!this.previous) return command;
+
+        const previousOptions = Object.assign({}, options, {
+            outputDest: null,
+        });
+        return `${this.previous.toCommandString(previousOptions)} | ${command}`;
     }
 
     /**
-     * Returns a buffer from a file.
+     * Quotes an argument for a POSIX shell, when needed.
      * @static
-     * @public
-     * @param {String|Buffer} file - File to buffer.
-     * @returns {Buffer} Buffered file.
+     * @private
+     * @param {String} arg - Argument to quote.
+     * @returns {String} Quoted argument.
      */
-    static toBuffer(file) {
-        file = PdfTk.isString(file) ? fs.readFileSync(file) : file;
-        return file;
+    static _shellQuote(arg) {
+        if (/^[\w@%+=:,./-]+$/.test(arg)) return arg;
+        return `'${arg.replace(/'/g, "'\\''")}'`;
     }
 
     /**
-     * Creates fdf file from JSON input.
-     * Converts input values to binary buffer, which seems to allow PdfTk to render utf-8 characters.
-     * @static
+     * Run the command and stream the output.
      * @public
-     * @param {Object} data - JSON data to transform to fdf.
-     * @returns {Buffer} Fdf data as a buffer.
+     * @param {Object} [options] - Run options, "priority", "queueTimeout", "timeout" and "signal" (see {@link output}).
+     * @returns {Stream} Readable stream of the stdout. Failures, including a non-zero exit code, are emitted as "error" events
+     * with a {@link PdftkError}. Destroying the stream before its end kills the process.
      */
-    static generateFdfFromJSON(data) {
-
-        const header = Buffer.from(
-            `%FDF-1.2\n
-            ${String.fromCharCode(226) + String.fromCharCode(227) + String.fromCharCode(207) + String.fromCharCode(211)}\n
-            1 0 obj\n
-            <<\n
-            /FDF\n
-            <<\n
-            /Fields [\n`
-        );
+    outputStream(options) {
+        const output = new stream.PassThrough();
 
-        let body = Buffer.from('');
-
-        for (const prop in data) {
-            if (data.hasOwnProperty(prop)) {
-                body = Buffer.concat(
-                    [
-                        body,
-                        Buffer.from(
-                            `<<\n
-                            /T (`
-                        ),
-                    ]
-                );
-                body = Buffer.concat([
-                    body,
-                    Buffer.from(prop, 'binary'),
-                ]);
-                body = Buffer.concat([
-                    body,
-                    Buffer.from(
-                        `)\n
-                        /V (`
-                    ),
-                ]);
-                body = Buffer.concat([
-                    body,
-                    Buffer.from(data[prop], 'binary'),
-                ]);
-                body = Buffer.concat([
-                    body,
-                    Buffer.from(
-                        `)\n
-                        >>\n`
-                    ),
-                ]);
-            }
-        }
+        options = Object.assign({}, options, {
+            outputDest: null,
+        });
+        const run = this._forRun(options);
 
-        const footer = Buffer.from(
-            `]\n
-            >>\n
-            >>\n
-            endobj \n
-            trailer\n
-            \n
-            <<\n
-            /Root 1 0 R\n
-            >>\n
-            %%EOF\n`
-        );
+        run._execute(options, child => {
 
-        return Buffer.concat([
-            header,
-            body,
-            footer,
-        ]);
+            child.stdout.pipe(output, {
+                end: false,
+            });
 
+            // A consumer that stops reading would leave pdftk blocked on a full stdout, holding its pool slot
+            output.on('close', () => {
+                if (output.writableEnded) return;
+                child.stdout.resume();
+                child.kill();
+            });
+        }).then(() => {
+            this.warnings = run.warnings;
+            output.end();
+        }).catch(err => run._cleanUpTempFiles().then(() => {
+            if (!output.destroyed) output.emit('error', err);
+        }));
+
+        return output;
     }
 
     /**
-     * Creates pdf info text file from JSON input.
-     * @static
+     * Runs the command and sends the output as an HTTP response, with the Content-Type, Content-Disposition and Content-Length
+     * headers. The output is buffered first, so that a failing command can still be answered with an error status (see
+     * {@link PdftkError#status}) and a plain text body instead of a broken PDF. Other errors are not answered.
      * @public
-     * @param {Object} data - JSON data to transform to info file.
-     * @returns {Buffer} Info text file as a buffer.
+     * @param {Object} res - Node.js (or Express) response, or a Koa context.
+     * @param {Object} [options] - Response options, plus the run options of {@link output}.
+     * @param {String} [options.filename] - File name for the Content-Disposition header.
+     * @param {Boolean} [options.inline=false] - Show the PDF in the browser instead of downloading it.
+     * @param {Boolean} [options.stream=false] - Stream the output instead of buffering it, without a Content-Length header.
+     * The headers are sent with the first output, so failures before it are still answered with an error status. Failures
+     * after it abort the response.
+     * @returns {Promise} Promise that resolves once the response is sent. Failures reject after the error response is sent.
      */
-    static generateInfoFromJSON(data) {
-        const info = [];
-        for (const prop in data) {
-            if (data.hasOwnProperty(prop)) {
-                const begin = Buffer.from('InfoBegin\nInfoKey: ');
-                const key = Buffer.from(prop);
-                const newline = Buffer.from('\nInfoValue: ');
-                const value = Buffer.from(data[prop]);
-                const newline2 = Buffer.from('\n');
-                info.push(begin, key, newline, value, newline2);
+    respond(res, options) {
+        options = options || {};
+        const runOptions = Object.assign({}, options, {
+            writeFile: null,
+            outputDest: null,
+            parse: false,
+            dryRun: false,
+        });
+        const koa = PdfTk._isKoaContext(res);
+        const headers = {
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': PdfTk._contentDisposition(options.filename, options.inline),
+        };
+
+        const sent = options.stream ? this._respondStream(res, runOptions, headers) : this.output(runOptions).then(buffer => {
+            headers['Content-Length'] = buffer.length;
+            if (koa) {
+                res.status = 200;
+                res.set(headers);
+                res.body = buffer;
+                return;
             }
-        }
-        return Buffer.concat(info);
-    }
+            return new Promise(resolve => {
+                res.statusCode = 200;
+                for (const name in headers) res.setHeader(name, headers[name]);
+                res.end(buffer, resolve);
+            });
+        });
 
-    /**
-     * Creates an input command that uses the stdin.
-     * @private
-     * @param {String} command - Command to create.
-     * @param {String|Buffer} file - Stdin file.
-     * @returns {Object} PdfTk class instance.
-     */
-    _commandWithStdin(command, file) {
-        this.stdin = PdfTk.toBuffer(file);
-        this.args.push(
-            command,
-            '-'
-        );
-        return this;
+        return sent.catch(err => {
+            // Other failures are left to the error handling of the framework
+            if (!(err instanceof PdftkError) || (!koa && res.headersSent)) throw err;
+            return PdfTk._sendStatus(res, err.status).then(() => {
+                throw err;
+            });
+        });
     }
 
     /**
-     * Check for the existence of a temp file path and add it to the tmpFiles array (to mark for deletion later).
+     * Streams the output as an HTTP response once the first output is available, see {@link respond}.
      * @private
+     * @param {Object} res - Node.js (or Express) response, or a Koa context.
+     * @param {Object} options - Run options.
+     * @param {Object} headers - Response headers.
+     * @returns {Promise} Promise that resolves once the response is sent, or rejects with the failure of the command.
      */
-    _checkForTempFiles() {
-        for (let i = 0; i < this.src.length; i++) {
-            if (this.src[i].includes('node-pdftk-tmp')) {
-                this.tmpFiles.push(this.src[i]);
-            }
-        }
-    }
+    _respondStream(res, options, headers) {
+        const output = this.outputStream(options);
 
-    /**
-     * Clean up temp files, if created.
-     * @private
-     */
-    _cleanUpTempFiles() {
-        if (this.tmpFiles.length) {
-            for (let i = 0; i < this.tmpFiles.length; i++) {
-                const tmpFile = this.tmpFiles[i];
-                fs.unlinkSync(tmpFile);
+        return new Promise((resolve, reject) => {
+            output.once('error', reject);
+            output.once('readable', resolve);
+        }).then(() => {
+            if (PdfTk._isKoaContext(res)) {
+                res.status = 200;
+                res.set(headers);
+                res.body = output;
+                return;
             }
-        }
+            return new Promise((resolve, reject) => {
+                output.on('error', err => {
+                    // The status is already sent, so the client can only tell from the aborted response
+                    res.destroy();
+                    reject(err);
+                });
+                res.on('close', () => {
+                    // Keeps the command running to its end when the client disconnects, so that it cleans up
+                    output.unpipe(res);
+                    output.resume();
+                    resolve();
+                });
+                res.statusCode = 200;
+                for (const name in headers) res.setHeader(name, headers[name]);
+                output.pipe(res);
+            });
+        });
     }
 
     /**
-     * Run the command.
-     * @public
-     * @param {String} writeFile - Path to the output file to write from stdout. If used with the "outputDest" parameter, two files will be written.
-     * @param {String} outputDest - The output file to write without stdout. When present, the returning promise will not contain the output buffer. If used with the "writeFile" parameter, two files will be written.
-     * @returns {Promise} Promise that resolves the output buffer, if "outputDest" is not given.
+     * Waits for the pdftk process to exit and cleans up temp files. Anything written to the stderr by a successful process
+     * is collected in the {@link warnings} member.
+     * @private
+     * @param {Object} child - Child process.
+     * @param {Object} [options] - Run options.
+     * @param {Number} [options.timeout] - Milliseconds before the process is killed, rejecting with a "TIMEOUT" error.
+     * @param {Object} [options.signal] - AbortSignal that kills the process, rejecting with an "ABORTED" error.
+     * @param {Stream} [input] - Stream piped to the stdin. Its errors kill the process, rejecting with the stream error.
+     * @returns {Promise} Promise that resolves on a zero exit code, and rejects with a {@link PdftkError} otherwise. Timeouts,
+     * aborts and input errors reject right away, without waiting for the killed process to exit.
      */
-    output(writeFile, outputDest) {
+    _waitForExit(child, options, input) {
+        options = options || {};
         return new Promise((resolve, reject) => {
-            this.args.push(
-                'output',
-                outputDest || '-'
-            );
-            this.args = this.args.concat(this.postArgs);
-
-            const child = spawn(this.command, this.args);
-
-            const result = [];
-
-            child.stderr.on('data', data => {
+            const stderr = [];
+            let failed = false;
+            let killed = null;
+            let forceKill = null;
+
+            // Rejects right away, as the process (or the children of a wrapper script) may ignore SIGTERM or keep the
+            // stdio open. The temp files are removed once it exits.
+            const kill = err => {
+                if (killed) return;
+                killed = err;
+                release();
+                child.kill();
+                forceKill = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_PERIOD);
+                reject(err);
+            };
+            const timer = options.timeout ? setTimeout(() => kill(new PdftkError(`The pdftk command timed out after ${options.timeout}ms`, {
+                code: 'TIMEOUT',
+                args: PdfTk._redactArgs(child.spawnargs.slice(1)),
+            })), options.timeout) : null;
+            const onAbort = () => kill(PdftkError._aborted(PdfTk._redactArgs(child.spawnargs.slice(1))));
+            if (options.signal) options.signal.addEventListener('abort', onAbort);
+            const release = () => {
+                clearTimeout(timer);
+                if (options.signal) options.signal.removeEventListener('abort', onAbort);
+                if (input) input.removeListener('error', kill);
+            };
+
+            // The stream is piped to the stdin, so pdftk would otherwise wait for the rest of it
+            if (input) input.on('error', kill);
+
+            child.stderr.on('data', data => stderr.push(data));
+
+            child.on('exit', () => {
+                clearTimeout(forceKill);
+                if (!killed) return;
+
+                // Processes that inherited the stdio may still hold it open, and the output is not needed anymore
+                child.stdout.destroy();
+                child.stderr.destroy();
                 this._cleanUpTempFiles();
-                return reject(data);
             });
 
-            // For node < 4.5
-            child.stdout.on('data', data => result.push(new Buffer(data)));
+            child.on('error', err => {
+                failed = true;
+                release();
+                if (err.code === 'ENOENT') {
+                    err = new PdftkError(`The pdftk binary "${this.command}" could not be found`, {
+                        code: 'BINARY_MISSING',
+                        args: PdfTk._redactArgs(child.spawnargs.slice(1)),
+                    });
+                }
+                this._cleanUpTempFiles().then(() => reject(err));
+            });
 
             child.on('close', code => {
+                if (failed || killed) return;
 
-                this._cleanUpTempFiles();
+                release();
+                this._cleanUpTempFiles().then(() => {
+                    const text = Buffer.concat(stderr).toString();
 
-                if (code === 0) {
-                    const output = Buffer.concat(result);
-                    if (writeFile) {
-                        return fs.writeFile(writeFile, output, err => {
-                            if (err) return reject(err);
-                            return resolve(output);
-                        });
+                    if (code === 0) {
+                        this.warnings = text.split(/\r?\n/).map(line => line.trim()).filter(line => line);
+                        return resolve();
                     }
-                    return resolve(output);
-                }
-                return reject(code);
+
+                    return reject(new PdftkError(text.trim().split(/\r?\n/)[0] || `pdftk exited with code ${code}`, {
+                        code: PdftkError.classify(text),
+                        exitCode: code,
+                        stderr: text,
+                        args: PdfTk._redactArgs(child.spawnargs.slice(1)),
+                    }));
+                });
             });
+        });
+    }
 
-            if (this.stdin) {
-                child.stdin.write(this.stdin);
-                child.stdin.end();
+    /**
+     * Replaces passwords in an argument list, for use in error messages and logs.
+     * @static
+     * @private
+     * @param {Array} args - Command arguments.
+     * @returns {Array} Redacted arguments.
+     */
+    static _redactArgs(args) {
+        let inputPasswords = false;
+        return args.map((arg, index) => {
+            const previous = args[index - 1];
+            if (previous === 'input_pw') inputPasswords = true;
+            else if (OPERATIONS.indexOf(arg) !== -1) inputPasswords = false;
+
+            if (inputPasswords) {
+                const handle = /^[A-Z]+=/.exec(arg);
+                return handle ? `${handle[0]}***` : '***';
             }
+            return previous === 'user_pw' || previous === 'owner_pw' ? '***' : arg;
         });
     }
 
@@ -322,81 +3161,244 @@ class PdfTk {
      * Assembles ("catenates") pages from input PDFs to create a new PDF.
      * @public
      * @chainable
-     * @param {String|Array} catCommand - Page ranges for cat method.
+     * @param {String|Object|Array} catCommand - Page ranges for cat method, as strings or {@link PageRange} instances.
      * @returns {Object} PdfTk class instance.
      * @see {@link https://www.pdflabs.com/docs/pdftk-man-page/#dest-op-cat}
      */
     cat(catCommand) {
-        this.args.push(
-            'cat'
-        );
-        catCommand = Array.isArray(catCommand) ? catCommand : catCommand.split(' ');
-        for (const cmd of catCommand) {
-            this.args.push(
-                cmd
-            );
-        }
-        return this;
+        return this._commandWithRanges('cat', catCommand);
     }
 
     /**
      * Collates pages from input PDF to create new PDF.
      * @public
      * @chainable
-     * @param {String|Array} shuffleCommand - Page ranges for shuffle method.
+     * @param {String|Object|Array} shuffleCommand - Page ranges for shuffle method, as strings or {@link PageRange} instances.
      * @returns {Object} PdfTk class instance.
      * @see {@link https://www.pdflabs.com/docs/pdftk-man-page/#dest-op-shuffle}
      */
     shuffle(shuffleCommand) {
-        this.args.push(
-            'shuffle'
-        );
-        shuffleCommand = Array.isArray(shuffleCommand) ? shuffleCommand : shuffleCommand.split(' ');
-        for (const cmd of shuffleCommand) {
-            this.args.push(
-                cmd
+        return this._commandWithRanges('shuffle', shuffleCommand);
+    }
+
+    /**
+     * Splits a single PDF into individual pages. This method is not chainable, and hereby does not require
+     * the output method afterwards.
+     * @public
+     * @param {String|Array|Object} outputOptions - Burst output options for naming conventions. Pass an object with
+     * "inMemory: true" to burst in a temp directory instead, resolving an array of { page, buffer } objects. When the
+     * "docData" option is also set, an object with "pages" and "docData" (see {@link parseDumpData}) properties is resolved.
+     * @returns {Promise} Promise callback. Invalid options reject without changing the instance.
+     * @see {@link https://www.pdflabs.com/docs/pdftk-man-page/#dest-op-burst}
+     */
+    burst(outputOptions) {
+        if (PdfTk.isObject(outputOptions) && !outputOptions.inMemory) {
+            return Promise.reject(new Error('The "burst" method requires the "inMemory" option when given an options object'));
+        }
+
+        return this._runCopy(run => {
+            run._startOperation('burst');
+            run.args.push(
+                'burst'
             );
+            if (!PdfTk.isObject(outputOptions)) return run.output(null, Array.isArray(outputOptions) ? outputOptions.join(' ') : outputOptions);
+
+            return run._outputToTempDir('pg_%04d.pdf').then(files => {
+                const pages = Object.keys(files)
+                    .filter(name => /^pg_\d+\.pdf$/.test(name))
+                    .map(name => ({
+                        page: parseInt(name.slice(3), 10),
+                        buffer: files[name],
+                    }))
+                    .sort((a, b) => a.page - b.page);
+                if (!outputOptions.docData) return pages;
+                return {
+                    pages,
+                    docData: files['doc_data.txt'] ? PdfTk.parseDumpData(files['doc_data.txt']) : null,
+                };
+            });
+        });
+    }
+
+    /**
+     * Takes a single input PDF and rotates just the specified pages.
+     * @public
+     * @chainable
+     * @param {String|Object|Array} rotateCommand - Page ranges for rotate command, as strings or {@link PageRange} instances.
+     * @returns {Object} PdfTk class instance.
+     * @see {@link https://www.pdflabs.com/docs/pdftk-man-page/#dest-op-rotate}
+     */
+    rotate(rotateCommand) {
+        return this._commandWithRanges('rotate', rotateCommand);
+    }
+
+    /**
+     * Parses a page list, such as [1, '3-5', 'end'], into ranges.
+     * @static
+     * @private
+     * @param {Number|String|Array} pages - Pages to parse.
+     * @returns {Array} Array of [start, end] page references.
+     */
+    static _parsePageList(pages) {
+        const ranges = [];
+        for (const page of [].concat(pages)) {
+            for (const part of String(page).split(/[\s,]+/)) {
+                if (!part) continue;
+                const bounds = part.split('-');
+                if (bounds.length > 2) throw new Error(`The page range "${part}" is invalid`);
+                ranges.push([
+                    PageRange._pageRef(bounds[0]),
+                    PageRange._pageRef(bounds[1] || bounds[0]),
+                ]);
+            }
         }
-        return this;
+        if (!ranges.length) throw new Error('No pages were given');
+        return ranges;
+    }
+
+    /**
+     * Returns the handle prefix of the single input, for use in page ranges.
+     * @private
+     * @param {String} method - Name of the calling method, for error messages.
+     * @returns {String} Handle, or an empty string.
+     */
+    _singleInputHandle(method) {
+        if (this.src.length !== 1) throw new Error(`The "${method}" method requires a single input`);
+        return this.handles[0] || '';
     }
 
     /**
-     * Splits a single PDF into individual pages.
+     * Removes pages from the input.
      * @public
      * @chainable
-     * @param {String|Array} outputOptions - Burst output options for naming conventions.
+     * @param {Number|String|Array} pages - Pages to delete, such as 3, '5-7' or [1, 'end'].
      * @returns {Object} PdfTk class instance.
-     * @see {@link https://www.pdflabs.com/docs/pdftk-man-page/#dest-op-burst}
      */
-    burst(outputOptions) {
-        outputOptions = Array.isArray(outputOptions) ? outputOptions.join(' ') : outputOptions;
+    deletePages(pages) {
+        this._startOperation('cat');
+        const handle = this._singleInputHandle('deletePages');
+        const ranges = PdfTk._parsePageList(pages);
         this.args.push(
-            'burst'
+            'cat',
+            this._deferByPageCount(pageCount => {
+                const toNumber = ref => {
+                    if (ref === 'end') return pageCount;
+                    if (ref[0] === 'r') return pageCount - parseInt(ref.slice(1), 10) + 1;
+                    return parseInt(ref, 10);
+                };
+                const deleted = {};
+                for (const range of ranges) {
+                    const start = Math.min(toNumber(range[0]), toNumber(range[1]));
+                    const end = Math.max(toNumber(range[0]), toNumber(range[1]));
+                    if (start < 1 || end > pageCount) throw new Error(`Cannot delete pages ${range.join('-')}, the input has ${pageCount} pages`);
+                    for (let page = start; page <= end; page++) deleted[page] = true;
+                }
+                const kept = [];
+                for (let page = 1; page <= pageCount; page++) {
+                    if (deleted[page]) continue;
+                    const last = kept[kept.length - 1];
+                    if (last && last[1] === page - 1) last[1] = page;
+                    else kept.push([
+                        page,
+                        page,
+                    ]);
+                }
+                if (!kept.length) throw new Error('Cannot delete every page of the input');
+                return kept.map(range => handle + (range[0] === range[1] ? range[0] : `${range[0]}-${range[1]}`));
+            })
         );
-        return this.output(null, outputOptions);
+        return this;
     }
 
     /**
-     * Takes a single input PDF and rotates just the specified pages.
+     * Keeps only the given pages of the input, in the given order.
      * @public
      * @chainable
-     * @param {String|Array} rotateCommand - Page ranges for rotate command.
+     * @param {Number|String|Array} pages - Pages to extract, such as 3, '5-7' or [1, 'end'].
      * @returns {Object} PdfTk class instance.
-     * @see {@link https://www.pdflabs.com/docs/pdftk-man-page/#dest-op-rotate}
      */
-    rotate(rotateCommand) {
+    extractPages(pages) {
+        this._startOperation('cat');
+        const handle = this._singleInputHandle('extractPages');
+        return this._addRanges('cat', PdfTk._parsePageList(pages).map(range => handle + (range[0] === range[1] ? range[0] : range.join('-'))));
+    }
+
+    /**
+     * Reverses the page order of the input.
+     * @public
+     * @chainable
+     * @returns {Object} PdfTk class instance.
+     */
+    reverse() {
+        this._startOperation('cat');
+        const handle = this._singleInputHandle('reverse');
+        return this._addRanges('cat', `${handle}end-1`);
+    }
+
+    /**
+     * Inserts all pages of another PDF after a page of the input. Use 0 to insert before the first page, e.g. a cover page.
+     * @public
+     * @chainable
+     * @param {Number} pageNo - Page after which to insert.
+     * @param {String|Buffer|Stream} pdf - PDF to insert.
+     * @returns {Object} PdfTk class instance.
+     */
+    insertAt(pageNo, pdf) {
+        this._startOperation('cat');
+        this._singleInputHandle('insertAt');
+        if (!Number.isInteger(pageNo) || pageNo < 0) throw new Error(`Cannot insert at page "${pageNo}", use a page number or 0 for the start`);
+
+        const handles = this._useHandles();
+        const insert = PdfTk._inputFile(pdf, this.options, `${handles[1]}=`);
+        if (PdfTk._isOperand(insert)) this.operands.push(insert);
+        this.src.push(insert);
+        this.handles.push(handles[1]);
+        this.args.splice(1, 0, insert);
+
+        const main = handles[0];
+        const other = handles[1];
+        if (pageNo === 0) return this._addRanges('cat', `${other} ${main}`);
+
         this.args.push(
-            'rotate'
+            'cat',
+            this._deferByPageCount(pageCount => {
+                if (pageNo > pageCount) throw new Error(`Cannot insert after page ${pageNo}, the input has ${pageCount} pages`);
+                if (pageNo === pageCount) return [
+                    main,
+                    other,
+                ];
+                return [
+                    `${main}1-${pageNo}`,
+                    other,
+                    `${main}${pageNo + 1}-end`,
+                ];
+            })
         );
-        rotateCommand = Array.isArray(rotateCommand) ? rotateCommand : rotateCommand.split(' ');
-        for (const cmd of rotateCommand) {
-            this.args.push(
-                cmd
-            );
-        }
         return this;
     }
 
+    /**
+     * Gives the single input a handle, if it has none, and picks a second handle.
+     * @private
+     * @returns {Array} The input handle and a free handle.
+     */
+    _useHandles() {
+        if (!this.handles.length) {
+            const input = this.src[0];
+            if (PdfTk._isOperand(input)) {
+                input.prefix = 'A=';
+            } else {
+                this.src[0] = `A=${input}`;
+                this.args[0] = this.src[0];
+            }
+            this.handles.push('A');
+        }
+        return [
+            this.handles[0],
+            this.handles[0] === 'B' ? 'A' : 'B',
+        ];
+    }
+
     /**
      * Generate fdf file from input PDF.
      * @public
@@ -405,71 +3407,97 @@ class PdfTk {
      * @see {@link https://www.pdflabs.com/docs/pdftk-man-page/#dest-op-generate-fdf}
      */
     generateFdf() {
+        this._startOperation('generate_fdf');
         this.args.push(
             'generate_fdf'
         );
         return this;
     }
 
+    /**
+     * Reads the form data of a PDF as JSON. This method is not chainable, and hereby does not require
+     * the output method afterwards.
+     * @public
+     * @returns {Promise} Promise that resolves the form data.
+     * @see {@link parseFdf}
+     */
+    extractFormData() {
+        return this._runCopy(run => run
+            .generateFdf()
+            .output()
+            .then(PdfTk.parseFdf));
+    }
+
     /**
      * Fill a PDF form from JSON data.
      * @public
      * @chainable
-     * @param {Object} data - Form fill data.
+     * @param {Object|String|Buffer|Stream} data - Form fill data. Strings are treated as a path to an fdf/xfdf file, and buffers
+     * and streams as fdf/xfdf data.
+     * @param {Object} [options] - Form fill options.
+     * @param {String} [options.format=fdf] - Format to generate from JSON data, either "fdf" or "xfdf".
+     * @param {String|Object} [options.onState=Yes] - State name used for buttons set to true, see {@link generateFdfFromJSON}.
+     * @param {String|Object} [options.offState=Off] - State name used for buttons set to false, see {@link generateFdfFromJSON}.
      * @returns {Object} PdfTk class instance.
+     * @see {@link generateFdfFromJSON}
      * @see {@link https://www.pdflabs.com/docs/pdftk-man-page/#dest-op-fill-form}
      */
-    fillForm(data) {
-        data = PdfTk.isString(data) ? data : PdfTk.generateFdfFromJSON(data);
-        return this._commandWithStdin('fill_form', data);
+    fillForm(data, options) {
+        options = options || {};
+        const format = options.format || 'fdf';
+        if (format !== 'fdf' && format !== 'xfdf') throw new Error(`The form data format "${format}" is not supported`);
+        if (!PdfTk.isString(data) && !Buffer.isBuffer(data) && !PdfTk.isStream(data)) {
+            data = format === 'xfdf' ? PdfTk.generateXfdfFromJSON(data, options) : PdfTk.generateFdfFromJSON(data, options);
+        }
+        return this._commandWithOperand('fill_form', data);
     }
 
     /**
      * Applies a PDF watermark to the background of a single PDF.
      * @public
      * @chainable
-     * @param {String|Buffer} file - PDF file that contains the background to be applied.
+     * @param {String|Buffer|Stream} file - PDF file that contains the background to be applied.
      * @returns {Object} PdfTk class instance.
      * @see {@link https://www.pdflabs.com/docs/pdftk-man-page/#dest-op-background}
      */
     background(file) {
-        return this._commandWithStdin('background', file);
+        return this._commandWithOperand('background', file);
     }
 
     /**
      * Same as the background operation, but applies each page of the background PDF to the corresponding page of the input PDF.
      * @public
      * @chainable
-     * @param {String|Buffer} file - PDF file that contains the background to be applied.
+     * @param {String|Buffer|Stream} file - PDF file that contains the background to be applied.
      * @returns {Object} PdfTk class instance.
      * @see {@link https://www.pdflabs.com/docs/pdftk-man-page/#dest-op-multibackground}
      */
     multiBackground(file) {
-        return this._commandWithStdin('multibackground', file);
+        return this._commandWithOperand('multibackground', file);
     }
 
     /**
      * This behaves just like the background operation except it overlays the stamp PDF page on top of the input PDF document’s pages.
      * @public
      * @chainable
-     * @param {String|Buffer} file - PDF file that contains the content to be stamped.
+     * @param {String|Buffer|Stream} file - PDF file that contains the content to be stamped.
      * @returns {Object} PdfTk class instance.
      * @see {@link https://www.pdflabs.com/docs/pdftk-man-page/#dest-op-stamp}
      */
     stamp(file) {
-        return this._commandWithStdin('stamp', file);
+        return this._commandWithOperand('stamp', file);
     }
 
     /**
      * Same as the stamp operation, but applies each page of the stamp PDF to the corresponding page of the input PDF.
      * @public
      * @chainable
-     * @param {String|Buffer} file - PDF file that contains the content to be stamped.
+     * @param {String|Buffer|Stream} file - PDF file that contains the content to be stamped.
      * @returns {Object} PdfTk class instance.
      * @see {@link https://www.pdflabs.com/docs/pdftk-man-page/#dest-op-multistamp}
      */
     multiStamp(file) {
-        return this._commandWithStdin('multistamp', file);
+        return this._commandWithOperand('multistamp', file);
     }
 
     /**
@@ -480,6 +3508,8 @@ class PdfTk {
      * @see {@link https://www.pdflabs.com/docs/pdftk-man-page/#dest-op-dump-data}
      */
     dumpData() {
+        this._startOperation('dump_data');
+        this.parser = data => PdfTk.parseDumpData(data);
         this.args.push(
             'dump_data'
         );
@@ -494,6 +3524,10 @@ class PdfTk {
      * @see {@link https://www.pdflabs.com/docs/pdftk-man-page/#dest-op-dump-data-utf8}
      */
     dumpDataUtf8() {
+        this._startOperation('dump_data_utf8');
+        this.parser = data => PdfTk.parseDumpData(data, {
+            utf8: true,
+        });
         this.args.push(
             'dump_data_utf8'
         );
@@ -508,6 +3542,8 @@ class PdfTk {
      * @see {@link https://www.pdflabs.com/docs/pdftk-man-page/#dest-op-dump-data-fields}
      */
     dumpDataFields() {
+        this._startOperation('dump_data_fields');
+        this.parser = data => PdfTk.parseDumpDataFields(data);
         this.args.push(
             'dump_data_fields'
         );
@@ -522,12 +3558,31 @@ class PdfTk {
      * @see {@link https://www.pdflabs.com/docs/pdftk-man-page/#dest-op-dump-data-fields-utf8}
      */
     dumpDataFieldsUtf8() {
+        this._startOperation('dump_data_fields_utf8');
+        this.parser = data => PdfTk.parseDumpDataFields(data, {
+            utf8: true,
+        });
         this.args.push(
             'dump_data_fields_utf8'
         );
         return this;
     }
 
+    /**
+     * Reads the form fields of a PDF as an array of field descriptors. This method is not chainable, and hereby does not require
+     * the output method afterwards.
+     * @public
+     * @returns {Promise} Promise that resolves the field descriptors.
+     * @see {@link parseDumpDataFields}
+     */
+    getFormSchema() {
+        return this._runCopy(run => run
+            .dumpDataFieldsUtf8()
+            .output({
+                parse: true,
+            }));
+    }
+
     /**
      * Outputs PDF annotation information.
      * @public
@@ -536,6 +3591,7 @@ class PdfTk {
      * @see {@link https://www.pdflabs.com/docs/pdftk-man-page/#dest-op-dump-data-annots}
      */
     dumpDataAnnots() {
+        this._startOperation('dump_data_annots');
         this.args.push(
             'dump_data_annots'
         );
@@ -546,51 +3602,78 @@ class PdfTk {
      * Update the bookmarks and metadata of a PDF with utf-8 encoding.
      * @public
      * @chainable
-     * @param {Object} data - Update data.
+     * @param {Object|String|Buffer|Stream} data - Update data, see {@link generateInfoFromJSON}. Strings are treated as a path to an info file.
      * @returns {Object} PdfTk class instance.
      * @see {@link https://www.pdflabs.com/docs/pdftk-man-page/#dest-op-update-info}
      */
     updateInfo(data) {
-        data = PdfTk.isString(data) ? data : PdfTk.generateInfoFromJSON(data);
-        return this._commandWithStdin('update_info', data);
+        data = PdfTk.isString(data) || Buffer.isBuffer(data) || PdfTk.isStream(data) ? data : PdfTk.generateInfoFromJSON(data);
+        return this._commandWithOperand('update_info', data);
     }
 
     /**
      * Update the bookmarks and metadata of a PDF.
      * @public
      * @chainable
-     * @param {Object} data - Update data.
+     * @param {Object|String|Buffer|Stream} data - Update data, see {@link generateInfoFromJSON}. Strings are treated as a path to an info file.
      * @returns {Object} PdfTk class instance.
      * @see {@link https://www.pdflabs.com/docs/pdftk-man-page/#dest-op-update-info-utf8}
      */
     updateInfoUtf8(data) {
-        data = PdfTk.isString(data) ? data : PdfTk.generateInfoFromJSON(data);
-        return this._commandWithStdin('update_info_utf8', data);
+        data = PdfTk.isString(data) || Buffer.isBuffer(data) || PdfTk.isStream(data) ? data : PdfTk.generateInfoFromJSON(data);
+        return this._commandWithOperand('update_info_utf8', data);
     }
 
     /**
      * Attach files to PDF.
      * @public
      * @chainable
-     * @param {String|Array} files - Files to attach.
+     * @param {String|Object|Array} files - Files to attach. Either paths, or objects with a "name" and a "content" buffer or
+     * readable stream, which are attached under the given name.
      * @returns {Object} PdfTk class instance.
      * @see {@link https://www.pdflabs.com/docs/pdftk-man-page/#dest-op-attach} for more information.
      */
     attachFiles(files) {
 
-        if (!files || !files.length) throw new Error('The "attachFiles" method requires a file');
+        this._startOperation('attach_files');
 
         files = Array.isArray(files) ? files : [
             files,
         ];
 
+        if (!files.length || !files[0]) throw new Error('The "attachFiles" method requires a file');
+
+        const names = [];
+        const attachments = files.map(file => {
+            let name;
+            let attachment;
+            if (PdfTk.isObject(file)) {
+                name = file.name;
+                if (!PdfTk.isString(name) || !name || name !== path.basename(name) || name === '.' || name === '..') {
+                    throw new Error(`The attachment name "${name}" must be a plain file name`);
+                }
+                if (!Buffer.isBuffer(file.content) && !PdfTk.isStream(file.content)) {
+                    throw new Error(`The content of attachment "${name}" must be a buffer or a readable stream`);
+                }
+                attachment = PdfTk._createOperand(file.content, '', name);
+                this.operands.push(attachment);
+            } else {
+                if (!PdfTk.isString(file) || !fs.existsSync(path.resolve(this.options.cwd, file))) throw new Error(`The attachment "${file}" does not exist`);
+                name = path.basename(file);
+                attachment = file;
+            }
+            if (names.indexOf(name) !== -1) throw new Error(`The attachment name "${name}" is used more than once`);
+            names.push(name);
+            return attachment;
+        });
+
         this.args.push(
             'attach_files'
         );
 
-        for (const file of files) {
+        for (const attachment of attachments) {
             this.args.push(
-                file
+                attachment
             );
         }
 
@@ -601,17 +3684,34 @@ class PdfTk {
      * Unpack files into an output directory. This method is not chainable, and hereby does not require
      * the output method afterwards.
      * @public
-     * @param {String} outputDir - Output directory for files.
+     * @param {String} [outputDir] - Output directory for files. When omitted, the files are unpacked into a temp directory
+     * and resolved as an object that maps file names to buffers.
      * @returns {Promise} Promise callback
      * @see {@link https://www.pdflabs.com/docs/pdftk-man-page/#dest-op-unpack} for more information.
      */
     unpackFiles(outputDir) {
+        return this._runCopy(run => {
+            run._startOperation('unpack_files');
+            run.args.push(
+                'unpack_files'
+            );
+            if (!outputDir) return run._outputToTempDir('');
+            return run.output(null, outputDir);
+        });
+    }
 
-        this.args.push(
-            'unpack_files'
-        );
-        return this.output(null, outputDir);
-
+    /**
+     * Lists the files attached to a PDF. This method is not chainable, and hereby does not require
+     * the output method afterwards.
+     * @public
+     * @returns {Promise} Promise that resolves an array of { name, size } objects, sizes in bytes.
+     * @see {@link unpackFiles}
+     */
+    listAttachments() {
+        return this.unpackFiles().then(files => Object.keys(files).sort().map(name => ({
+            name,
+            size: files[name].length,
+        })));
     }
 
     /**
@@ -754,15 +3854,32 @@ class PdfTk {
      * Set the input password.
      * @public
      * @chainable
-     * @param {String} password - Password to set.
+     * @param {String|Object} password - Password to set, or an object that maps input handles to passwords.
      * @returns {Object} PdfTk class instance.
      * @see {@link https://www.pdflabs.com/docs/pdftk-man-page/#dest-input-pw}
+     * @example PdfTk.input({ A: 'a.pdf', B: 'b.pdf' }).inputPw({ A: 'secret', B: 'other' }).cat('A B')
      */
     inputPw(password) {
-        this.postArgs.push(
-            'input_pw',
-            password
-        );
+        if (!PdfTk._isPlainObject(password)) {
+            if (!PdfTk.isString(password)) throw new Error('The input password must be a string, or an object that maps handles to passwords');
+            this.inputPasswords.push({
+                handle: null,
+                password,
+            });
+            return this;
+        }
+
+        for (const handle in password) {
+            if (password.hasOwnProperty(handle)) {
+                if (this.handles.indexOf(handle) === -1) throw new Error(`Cannot set the password of "${handle}", the input has no such handle`);
+                if (!PdfTk.isString(password[handle])) throw new Error(`The password of "${handle}" must be a string`);
+                this.inputPasswords = this.inputPasswords.filter(entry => entry.handle !== handle);
+                this.inputPasswords.push({
+                    handle,
+                    password: password[handle],
+                });
+            }
+        }
         return this;
     }
 
@@ -802,17 +3919,18 @@ class PdfTk {
      * Set permissions for a PDF. By not passing in the "perms" parameter, you are disabling all features.
      * @public
      * @chainable
-     * @param {Array|String} perms - Permissions to set. Choices are: Printing, DegradedPrinting, ModifyContents,
-     * Assembly, CopyContents, ScreenReaders, ModifyAnnotations, FillIn, AllFeatures.
+     * @param {Array|String} perms - Permissions to set, as an array or a space separated string. Choices are: Printing,
+     * DegradedPrinting, ModifyContents, Assembly, CopyContents, ScreenReaders, ModifyAnnotations, FillIn, AllFeatures.
      * @returns {Object} PdfTk class instance.
      * @see {@link https://www.pdflabs.com/docs/pdftk-man-page/#dest-output-enc-perms}
      */
     allow(perms) {
-        perms = Array.isArray(perms) ? perms.join(' ') : perms;
-        this.postArgs.push(
-            'allow',
-            perms
-        );
+        perms = Array.isArray(perms) ? perms : String(perms || '').split(/\s+/).filter(perm => perm);
+        for (const perm of perms) {
+            if (PERMISSIONS.indexOf(perm) === -1) throw new Error(`The permission "${perm}" is invalid, use one of ${PERMISSIONS.join(', ')}`);
+        }
+        if (!perms.length) return this;
+        this.postArgs = this.postArgs.concat('allow', perms);
         return this;
     }
 
@@ -843,6 +3961,38 @@ class PdfTk {
         );
         return this;
     }
+
+    /**
+     * Set 128 bit AES encryption. Requires pdftk-java.
+     * @public
+     * @chainable
+     * @returns {Object} PdfTk class instance.
+     * @see {@link https://gitlab.com/pdftk-java/pdftk}
+     */
+    encryptAes128() {
+        this.postArgs.push(
+            'encrypt_aes128'
+        );
+        return this;
+    }
+
+    /**
+     * Set 256 bit AES encryption. Requires pdftk-java.
+     * @public
+     * @chainable
+     * @returns {Object} PdfTk class instance.
+     * @see {@link https://gitlab.com/pdftk-java/pdftk}
+     */
+    encryptAes256() {
+        this.postArgs.push(
+            'encrypt_aes256'
+        );
+        return this;
+    }
 }
 
+PdfTk.PdftkError = PdftkError;
+PdfTk.PageRange = PageRange;
+PdfTk.Pool = Pool;
+
 module.exports = PdfTk;
@@ -0,0 +1,63 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PdfTk = require('../');
+const fixtures = require('./fixtures');
+
+describe('attachments', () => {
+    let tmpDir = null;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'node-pdftk-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, {
+            recursive: true,
+            force: true,
+        });
+    });
+
+    const input = () => PdfTk.input(Buffer.from('%PDF'), {
+        bin: fixtures.bin,
+        tmpDir,
+    });
+
+    it('unpacks files in memory', () => input().unpackFiles().then(files => {
+        assert.deepStrictEqual(Object.keys(files), [
+            'attachment.txt',
+        ]);
+        assert.strictEqual(files['attachment.txt'].toString(), 'attachment');
+        assert.deepStrictEqual(fs.readdirSync(tmpDir), []);
+    }));
+
+    it('unpacks files into a directory', () => {
+        const outputDir = path.join(tmpDir, 'out');
+        fs.mkdirSync(outputDir);
+        return input().unpackFiles(outputDir).then(() => {
+            assert.deepStrictEqual(fs.readdirSync(outputDir), [
+                'attachment.txt',
+            ]);
+        });
+    });
+
+    it('attaches in-memory files under their name', () => input().attachFiles([
+        {
+            name: 'invoice.xml',
+            content: Buffer.from('<invoice/>'),
+        },
+    ]).output().then(output => {
+        const lines = output.toString().split('\n');
+        const args = JSON.parse(lines[0].slice('ARGS '.length));
+        assert.strictEqual(path.basename(args[2]), 'invoice.xml');
+        assert.strictEqual(lines[1], 'FILE "<invoice/>"');
+        assert.deepStrictEqual(fs.readdirSync(tmpDir), []);
+    }));
+
+    it('rejects attachments that do not exist', () => {
+        assert.throws(() => input().attachFiles('missing.txt'), /The attachment "missing.txt" does not exist/);
+    });
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PdfTk = require('../');
+const fixtures = require('./fixtures');
+
+describe('burst', () => {
+    let tmpDir = null;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'node-pdftk-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, {
+            recursive: true,
+            force: true,
+        });
+    });
+
+    const input = (src, options) => PdfTk.input(src, Object.assign({
+        bin: fixtures.bin,
+        tmpDir,
+    }, options));
+
+    it('rejects invalid burst options without changing the builder', () => {
+        const pdf = input(Buffer.from('%PDF'));
+        return fixtures.rejects(pdf.burst({}), /requires the "inMemory" option/).then(() => {
+            assert.strictEqual(pdf.operation, null);
+            assert.deepStrictEqual(pdf.toArgs(), [
+                '-',
+                'output',
+                '-',
+            ]);
+        });
+    });
+
+    it('bursts in memory', () => input(Buffer.from('%PDF'), {
+        env: {
+            STUB_PAGES: '2',
+        },
+    }).burst({
+        inMemory: true,
+    }).then(pages => {
+        assert.deepStrictEqual(pages.map(page => [
+            page.page,
+            page.buffer.toString(),
+        ]), [
+            [
+                1,
+                'page 1',
+            ],
+            [
+                2,
+                'page 2',
+            ],
+        ]);
+        assert.deepStrictEqual(fs.readdirSync(tmpDir), []);
+    }));
+});
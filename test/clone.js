@@ -0,0 +1,76 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PdfTk = require('../');
+const fixtures = require('./fixtures');
+
+describe('clone', () => {
+    let tmpDir = null;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'node-pdftk-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, {
+            recursive: true,
+            force: true,
+        });
+    });
+
+    const template = () => PdfTk.input(Buffer.from('%PDF'), {
+        bin: fixtures.bin,
+        tmpDir,
+    }).flatten();
+
+    it('changes the copy without changing the original', () => {
+        const base = template();
+        const copy = base.clone().fillForm({
+            name: 'value',
+        });
+        assert.deepStrictEqual(base.toArgs(), [
+            '-',
+            'output',
+            '-',
+            'flatten',
+        ]);
+        assert.deepStrictEqual(copy.toArgs(), [
+            '-',
+            'fill_form',
+            '<tmp>',
+            'output',
+            '-',
+            'flatten',
+        ]);
+    });
+
+    it('runs copies at the same time', () => {
+        const base = template();
+        return Promise.all([
+            'first',
+            'second',
+        ].map(name => base.clone().fillForm({
+            name,
+        }).output())).then(outputs => {
+            assert.ok(outputs[0].toString().indexOf('/V (first)') !== -1);
+            assert.ok(outputs[1].toString().indexOf('/V (second)') !== -1);
+            assert.deepStrictEqual(fs.readdirSync(tmpDir), []);
+        });
+    });
+
+    it('outputs the same instance twice', () => {
+        const pdf = template();
+        return pdf.output().then(first => pdf.output().then(second => {
+            assert.strictEqual(first.toString(), second.toString());
+            assert.deepStrictEqual(pdf.toArgs(), [
+                '-',
+                'output',
+                '-',
+                'flatten',
+            ]);
+        }));
+    });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PdfTk = require('../');
+const fixtures = require('./fixtures');
+
+describe('configure', () => {
+    let defaults = null;
+    let tmpDir = null;
+
+    beforeEach(() => {
+        defaults = PdfTk.configure();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'node-pdftk-test-'));
+    });
+
+    afterEach(() => {
+        PdfTk.configure(defaults);
+        fs.rmSync(tmpDir, {
+            recursive: true,
+            force: true,
+        });
+    });
+
+    const args = output => JSON.parse(/^ARGS (.*)$/m.exec(output.toString())[1]);
+
+    it('runs the configured binary in the configured directories', () => {
+        fs.writeFileSync(path.join(tmpDir, 'in.pdf'), '%PDF');
+        PdfTk.configure({
+            bin: fixtures.bin,
+            cwd: tmpDir,
+            tmpDir,
+        });
+        return PdfTk.input({
+            A: 'in.pdf',
+            B: Buffer.from('%PDF'),
+            C: Buffer.from('%PDF'),
+        }).cat('A B C').output().then(output => {
+            // One buffer is piped in, the other is spooled to a temp file
+            const spooled = args(output)[2];
+            assert.strictEqual(args(output)[0], 'A=in.pdf');
+            assert.strictEqual(spooled.slice(2).indexOf(tmpDir), 0, spooled);
+        });
+    });
+
+    it('lets instances override the configuration', () => {
+        PdfTk.configure({
+            bin: 'missing-pdftk',
+            env: {
+                STUB_PAGES: '2',
+            },
+        });
+        return PdfTk.input(Buffer.from('%PDF'), {
+            bin: fixtures.bin,
+            env: {
+                STUB_PAGES: '3',
+            },
+        }).dumpData().output({
+            parse: true,
+        }).then(data => {
+            assert.strictEqual(data.numberOfPages, 3);
+        });
+    });
+
+    it('resolves relative input paths against the working directory', () => {
+        assert.throws(() => PdfTk.input('in.pdf', {
+            cwd: tmpDir,
+        }), /The input file "in.pdf" does not exist/);
+    });
+
+    it('rejects unknown options', () => {
+        assert.throws(() => PdfTk.configure({
+            binary: 'pdftk',
+        }), /The configuration option "binary" is not supported/);
+    });
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+const assert = require('assert');
+const PdfTk = require('../');
+const fixtures = require('./fixtures');
+
+describe('parseDumpData', () => {
+    const dump = [
+        'InfoBegin',
+        'InfoKey: Title',
+        'InfoValue: Caf&#233; &amp; Bar',
+        'NumberOfPages: 3',
+        'PdfID0: abc',
+        'BookmarkBegin',
+        'BookmarkTitle: Chapter 1',
+        'BookmarkLevel: 1',
+        'BookmarkPageNumber: 2',
+        'PageMediaBegin',
+        'PageMediaNumber: 1',
+        'PageMediaRotation: 90',
+        'PageMediaDimensions: 612 792',
+        '',
+    ].join('\n');
+
+    it('parses info, bookmarks and page media', () => {
+        const data = PdfTk.parseDumpData(dump);
+        assert.strictEqual(data.info.Title, 'Café & Bar');
+        assert.strictEqual(data.numberOfPages, 3);
+        assert.deepStrictEqual(data.bookmarks, [
+            {
+                title: 'Chapter 1',
+                level: 1,
+                pageNumber: 2,
+            },
+        ]);
+        assert.strictEqual(data.pageMedia.length, 1);
+    });
+
+    it('parses the output of dumpData', () => PdfTk.input(Buffer.from('%PDF'), {
+        bin: fixtures.bin,
+        env: {
+            STUB_PAGES: '4',
+        },
+    }).dumpData().output({
+        parse: true,
+    }).then(data => {
+        assert.strictEqual(data.numberOfPages, 4);
+    }));
+
+    it('keeps multi-line values', () => {
+        const fields = PdfTk.parseDumpDataFields('---\nFieldType: Text\nFieldName: notes\nFieldValue: one\ntwo\n\nthree: four\n', {
+            utf8: true,
+        });
+        assert.strictEqual(fields[0].value, 'one\ntwo\n\nthree: four');
+    });
+});
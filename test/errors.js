@@ -0,0 +1,57 @@
+'use strict';
+
+const assert = require('assert');
+const PdfTk = require('../');
+const fixtures = require('./fixtures');
+
+describe('errors', () => {
+    const input = env => PdfTk.input(Buffer.from('%PDF'), {
+        bin: fixtures.bin,
+        env,
+    });
+
+    it('classifies pdftk error output', () => {
+        assert.strictEqual(PdfTk.PdftkError.classify('Error: Failed to open PDF file:\n   input.pdf\n   OWNER PASSWORD REQUIRED'), 'BAD_PASSWORD');
+        assert.strictEqual(PdfTk.PdftkError.classify('Error: Unable to find file.\nError: Failed to open PDF file:'), 'INPUT_NOT_FOUND');
+        assert.strictEqual(PdfTk.PdftkError.classify('Error: Failed to open PDF file:\n   input.pdf'), 'NOT_A_PDF');
+        assert.strictEqual(PdfTk.PdftkError.classify('Error: Unexpected Exception in open_reader()'), 'NOT_A_PDF');
+        assert.strictEqual(PdfTk.PdftkError.classify('Something else went wrong'), 'PDFTK_ERROR');
+    });
+
+    it('rejects with the exit code, error output and redacted arguments', () => fixtures.rejects(input({
+        STUB_EXIT: '3',
+        STUB_STDERR: 'Error: Failed to open PDF file:\n   OWNER PASSWORD REQUIRED',
+    }).ownerPw('secret').output(), /^Error: Failed to open PDF file:$/).then(err => {
+        assert.ok(err instanceof PdfTk.PdftkError);
+        assert.strictEqual(err.code, 'BAD_PASSWORD');
+        assert.strictEqual(err.status, 403);
+        assert.strictEqual(err.exitCode, 3);
+        assert.strictEqual(err.stderr, 'Error: Failed to open PDF file:\n   OWNER PASSWORD REQUIRED\n');
+        assert.deepStrictEqual(err.args, [
+            '-',
+            'output',
+            '-',
+            'owner_pw',
+            '***',
+        ]);
+    }));
+
+    it('resolves with the warnings of a successful run', () => {
+        const pdf = input({
+            STUB_WARNING: 'Warning: unused field\n  Warning: missing font',
+        });
+        return pdf.output().then(output => {
+            assert.ok(output.toString().indexOf('ARGS') === 0);
+            assert.deepStrictEqual(pdf.warnings, [
+                'Warning: unused field',
+                'Warning: missing font',
+            ]);
+        });
+    });
+
+    it('rejects when the binary is missing', () => fixtures.rejects(PdfTk.input(Buffer.from('%PDF'), {
+        bin: 'missing-pdftk',
+    }).output(), /The pdftk binary "missing-pdftk" could not be found/).then(err => {
+        assert.strictEqual(err.code, 'BINARY_MISSING');
+    }));
+});
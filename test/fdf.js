@@ -0,0 +1,64 @@
+'use strict';
+
+const assert = require('assert');
+const PdfTk = require('../');
+
+describe('generateFdfFromJSON', () => {
+    it('merges dotted field names into nested fields', () => {
+        const fdf = PdfTk.generateFdfFromJSON({
+            'address.street': 'Main St. 1',
+            'address.city': 'Springfield',
+        });
+        assert.deepStrictEqual(PdfTk.parseFdf(fdf), {
+            address: {
+                street: 'Main St. 1',
+                city: 'Springfield',
+            },
+        });
+    });
+
+    it('escapes strings', () => {
+        const fdf = PdfTk.generateFdfFromJSON({
+            note: 'a (b) \\ c',
+        }).toString('latin1');
+        assert.ok(fdf.indexOf('/V (a \\(b\\) \\\\ c)') !== -1);
+    });
+
+    it('uses the button states of each field', () => {
+        const fdf = PdfTk.generateFdfFromJSON({
+            agree: true,
+            subscribe: true,
+            address: {
+                same: false,
+            },
+        }, {
+            onState: {
+                agree: 'On',
+            },
+            offState: {
+                'address.same': 'No',
+            },
+        });
+        assert.deepStrictEqual(PdfTk.parseFdf(fdf), {
+            agree: 'On',
+            subscribe: 'Yes',
+            address: {
+                same: 'No',
+            },
+        });
+    });
+
+    it('writes non-ascii strings, lists and empty values', () => {
+        const fdf = PdfTk.generateFdfFromJSON({
+            name: 'Zoë',
+            colors: [
+                'red',
+                'blue',
+            ],
+            notes: null,
+        }).toString('latin1');
+        assert.ok(fdf.indexOf('/V (\u00fe\u00ff\u0000Z\u0000o\u0000\u00eb)') !== -1);
+        assert.ok(fdf.indexOf('/V [(red) (blue)]') !== -1);
+        assert.ok(fdf.indexOf('/T (notes)\n/V ()') !== -1);
+    });
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PdfTk = require('../');
+const fixtures = require('./fixtures');
+
+describe('fillMany', () => {
+    const template = Buffer.from('%PDF');
+    const records = [
+        {
+            id: 'a',
+            company: 'A/B Corp',
+        },
+        {
+            id: 'b',
+            company: 'C Corp',
+        },
+    ];
+
+    it('resolves a buffer per record', () => PdfTk.fillMany(template, records, {
+        bin: fixtures.bin,
+    }).then(results => {
+        assert.deepStrictEqual(results.map(result => result.index), [
+            0,
+            1,
+        ]);
+        for (const result of results) {
+            assert.strictEqual(result.error, undefined);
+            assert.ok(result.buffer.toString().indexOf('"fill_form"') !== -1);
+            assert.ok(result.buffer.toString().indexOf('"flatten"') === -1);
+        }
+    }));
+
+    it('writes a file per record', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'node-pdftk-test-'));
+        return PdfTk.fillMany(template, records, {
+            bin: fixtures.bin,
+            mode: 'files',
+            outputPattern: path.join(dir, '{company}-{index}.pdf'),
+        }).then(results => {
+            assert.deepStrictEqual(results.map(result => path.basename(result.file)), [
+                'A_B Corp-1.pdf',
+                'C Corp-2.pdf',
+            ]);
+            fs.rmSync(dir, {
+                recursive: true,
+                force: true,
+            });
+        });
+    });
+
+    it('merges the records with a bookmark each', () => PdfTk.fillMany(template, records, {
+        bin: fixtures.bin,
+        env: {
+            STUB_PAGES: '2',
+        },
+        mode: 'merged',
+        bookmarkTitle: '{company}',
+    }).then(merged => {
+        const output = merged.buffer.toString();
+        assert.ok(output.indexOf('BookmarkTitle: A/B Corp\\nBookmarkLevel: 1\\nBookmarkPageNumber: 1') !== -1);
+        assert.ok(output.indexOf('BookmarkTitle: C Corp\\nBookmarkLevel: 1\\nBookmarkPageNumber: 3') !== -1);
+        assert.ok(output.indexOf('flatten') !== -1);
+        assert.strictEqual(merged.results.length, 2);
+    }));
+
+    it('reports records that are not objects', () => PdfTk.fillMany(template, [
+        '/etc/passwd',
+        null,
+        records[0],
+    ], {
+        bin: fixtures.bin,
+    }).then(results => {
+        assert.strictEqual(results[0].error.message, 'The record at index 0 is not an object');
+        assert.strictEqual(results[1].error.message, 'The record at index 1 is not an object');
+        assert.ok(Buffer.isBuffer(results[2].buffer));
+    }));
+
+    it('reports records with invalid bookmark titles', () => PdfTk.fillMany(template, [
+        records[0],
+        {
+            company: 'D\nBookmarkBegin',
+        },
+    ], {
+        bin: fixtures.bin,
+        mode: 'merged',
+        bookmarkTitle: '{company}',
+    }).then(merged => {
+        assert.ok(Buffer.isBuffer(merged.buffer));
+        assert.strictEqual(merged.results[1].error.message, 'The BookmarkTitle "D\\nBookmarkBegin" cannot contain line breaks');
+    }));
+
+    it('reports records without a file name', () => PdfTk.fillMany(template, [
+        {},
+    ], {
+        bin: fixtures.bin,
+        mode: 'files',
+        outputPattern: '{id}.pdf',
+    }).then(results => {
+        assert.strictEqual(results[0].error.message, 'The record at index 0 has no "id" value');
+    }));
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const stream = require('stream');
+
+/**
+ * Path of the stub pdftk binary, see fixtures/pdftk.
+ * @type {String}
+ */
+exports.bin = path.join(__dirname, 'pdftk');
+
+/**
+ * Checks that a promise rejects with a matching message.
+ * @param {Promise} promise - Promise to check.
+ * @param {RegExp} message - Expected error message.
+ * @returns {Promise} Promise that resolves the error.
+ */
+exports.rejects = (promise, message) => promise.then(() => {
+    throw new Error('The promise should have been rejected');
+}, err => {
+    assert.ok(message.test(err.message), err.message);
+    return err;
+});
+
+/**
+ * Reads a stream to the end.
+ * @param {Stream} readable - Readable stream.
+ * @returns {Promise} Promise that resolves the contents as a buffer.
+ */
+exports.read = readable => new Promise((resolve, reject) => {
+    const chunks = [];
+    readable.on('data', chunk => chunks.push(chunk));
+    readable.on('error', reject);
+    readable.on('end', () => resolve(Buffer.concat(chunks)));
+});
+
+/**
+ * Creates a readable stream that sends some data and then fails.
+ * @param {String} message - Error message.
+ * @returns {Stream} Readable stream.
+ */
+exports.failingStream = message => {
+    let sent = false;
+    return new stream.Readable({
+        read() {
+            if (sent) return;
+            sent = true;
+            this.push('%PDF');
+            setTimeout(() => this.destroy(new Error(message)), 20);
+        },
+    });
+};
@@ -0,0 +1,69 @@
+'use strict';
+
+const assert = require('assert');
+const PdfTk = require('../');
+
+describe('parseDumpDataFields', () => {
+    const dump = [
+        '---',
+        'FieldType: Text',
+        'FieldName: notes',
+        'FieldFlags: 4098',
+        'FieldJustification: Left',
+        'FieldMaxLength: 200',
+        '---',
+        'FieldType: Button',
+        'FieldName: agree',
+        'FieldFlags: 1',
+        'FieldValue: Off',
+        'FieldStateOption: On',
+        'FieldStateOption: Off',
+        '---',
+        'FieldType: Button',
+        'FieldName: size',
+        'FieldFlags: 49152',
+        'FieldStateOption: Small',
+        'FieldStateOption: Large',
+        '---',
+        'FieldType: Choice',
+        'FieldName: colors',
+        'FieldFlags: 2097152',
+        'FieldValue: red',
+        'FieldValue: blue',
+        '',
+    ].join('\n');
+
+    it('reads the field properties', () => {
+        const fields = PdfTk.parseDumpDataFields(dump);
+        assert.deepStrictEqual(fields.map(field => field.name), [
+            'notes',
+            'agree',
+            'size',
+            'colors',
+        ]);
+        assert.strictEqual(fields[0].justification, 'Left');
+        assert.strictEqual(fields[0].maxLength, 200);
+        assert.deepStrictEqual(fields[1].options, [
+            'On',
+            'Off',
+        ]);
+        assert.deepStrictEqual(fields[3].value, [
+            'red',
+            'blue',
+        ]);
+    });
+
+    it('decodes the field flags', () => {
+        const fields = PdfTk.parseDumpDataFields(dump);
+        assert.strictEqual(fields[0].required, true);
+        assert.strictEqual(fields[0].multiline, true);
+        assert.strictEqual(fields[0].readOnly, false);
+        assert.strictEqual(fields[1].readOnly, true);
+        assert.strictEqual(fields[1].checkbox, true);
+        assert.strictEqual(fields[1].radio, false);
+        assert.strictEqual(fields[2].radio, true);
+        assert.strictEqual(fields[2].checkbox, false);
+        assert.strictEqual(fields[3].multiSelect, true);
+        assert.strictEqual(fields[3].combo, false);
+    });
+});
@@ -0,0 +1,211 @@
+'use strict';
+
+const assert = require('assert');
+const request = require('supertest');
+const PdfTk = require('../');
+const fixtures = require('./fixtures');
+
+// Reads the whole response body as text, whatever its content type
+const text = (res, callback) => {
+    res.setEncoding('utf8');
+    let body = '';
+    res.on('data', chunk => {
+        body += chunk;
+    });
+    res.on('end', () => callback(null, body));
+};
+
+// Runs a middleware with a parsed body, as a body parser would
+const withBody = (middleware, body) => (req, res) => {
+    req.body = body;
+    middleware(req, res, err => {
+        res.statusCode = 500;
+        res.end(`next: ${err.message}`);
+    });
+};
+
+describe('respond', () => {
+    it('sends the output with pdf headers', () => request((req, res) => {
+        PdfTk.input(Buffer.from('%PDF'), {
+            bin: fixtures.bin,
+        }).respond(res, {
+            filename: 'Rechnung für Zoë.pdf',
+            inline: true,
+        });
+    })
+        .get('/')
+        .buffer(true)
+        .parse(text)
+        .expect(200)
+        .expect('Content-Type', 'application/pdf')
+        .expect('Content-Disposition', 'inline; filename="Rechnung f_r Zo_.pdf"; filename*=UTF-8\'\'Rechnung%20f%C3%BCr%20Zo%C3%AB.pdf')
+        .then(res => {
+            assert.strictEqual(Number(res.headers['content-length']), Buffer.byteLength(res.body));
+            assert.ok(res.body.indexOf('STDIN "%PDF"') !== -1);
+        }));
+
+    it('answers failures with the status of the error', () => {
+        let failure = null;
+        return request((req, res) => {
+            PdfTk.input(Buffer.from('%PDF'), {
+                bin: fixtures.bin,
+                env: {
+                    STUB_EXIT: '1',
+                    STUB_STDERR: 'Error: Unable to find file.',
+                },
+            }).respond(res).catch(err => {
+                failure = err;
+            });
+        })
+            .get('/')
+            .expect(404)
+            .expect('Content-Type', 'text/plain; charset=utf-8')
+            .expect('Not Found')
+            .then(() => {
+                assert.ok(failure instanceof PdfTk.PdftkError);
+                assert.strictEqual(failure.code, 'INPUT_NOT_FOUND');
+            });
+    });
+
+    it('streams the output without a content length', () => request((req, res) => {
+        PdfTk.input(Buffer.from('%PDF'), {
+            bin: fixtures.bin,
+        }).respond(res, {
+            stream: true,
+        });
+    })
+        .get('/')
+        .buffer(true)
+        .parse(text)
+        .expect(200)
+        .expect('Content-Type', 'application/pdf')
+        .expect('Transfer-Encoding', 'chunked')
+        .then(res => {
+            assert.strictEqual(res.headers['content-length'], undefined);
+            assert.ok(res.body.indexOf('STDIN "%PDF"') !== -1);
+        }));
+
+    it('answers failures before the first output when streaming', () => request((req, res) => {
+        PdfTk.input(Buffer.from('%PDF'), {
+            bin: fixtures.bin,
+            env: {
+                STUB_EXIT: '1',
+            },
+        }).respond(res, {
+            stream: true,
+        }).catch(() => {});
+    })
+        .get('/')
+        .expect(500)
+        .expect('Internal Server Error'));
+
+    it('aborts the response on failures after the first output when streaming', () => {
+        let failure = null;
+        return request((req, res) => {
+            PdfTk.input(Buffer.from('%PDF'), {
+                bin: fixtures.bin,
+                env: {
+                    STUB_FAIL_AFTER_OUTPUT: '1',
+                },
+            }).respond(res, {
+                stream: true,
+            }).catch(err => {
+                failure = err;
+            });
+        })
+            .get('/')
+            .then(() => {
+                throw new Error('The response should have been aborted');
+            }, () => {
+                assert.ok(failure instanceof PdfTk.PdftkError);
+            });
+    });
+
+    it('sets the body of a koa context', () => {
+        const ctx = {
+            req: {},
+            request: {},
+            response: {},
+            headers: null,
+            set(headers) {
+                this.headers = headers;
+            },
+        };
+        return PdfTk.input(Buffer.from('%PDF'), {
+            bin: fixtures.bin,
+        }).respond(ctx, {
+            filename: 'form.pdf',
+        }).then(() => {
+            assert.strictEqual(ctx.status, 200);
+            assert.strictEqual(ctx.headers['Content-Disposition'], 'attachment; filename="form.pdf"');
+            assert.ok(Buffer.isBuffer(ctx.body));
+        });
+    });
+});
+
+describe('middleware', () => {
+    const middleware = options => PdfTk.middleware(() => Buffer.from('%PDF'), Object.assign({
+        bin: fixtures.bin,
+    }, options));
+
+    it('fills the form with the request body', () => request(withBody(middleware({
+        filename: req => `${req.url.slice(1)}.pdf`,
+    }), {
+        name: 'Zoë',
+    }))
+        .post('/w9')
+        .buffer(true)
+        .parse(text)
+        .expect(200)
+        .expect('Content-Disposition', 'attachment; filename="w9.pdf"')
+        .then(res => {
+            assert.ok(res.body.indexOf('"fill_form"') !== -1);
+            assert.deepStrictEqual(PdfTk.parseFdf(Buffer.from(JSON.parse(/^FILE (.*)$/m.exec(res.body)[1]), 'latin1')), {
+                name: 'Zoë',
+            });
+        }));
+
+    it('rejects string bodies instead of reading them as a path', () => request(withBody(middleware(), '/etc/passwd'))
+        .post('/')
+        .expect(400)
+        .expect('Bad Request'));
+
+    it('rejects missing and array bodies', () => Promise.all([
+        request(withBody(middleware(), undefined)).post('/')
+            .expect(400),
+        request(withBody(middleware(), [
+            'a',
+        ])).post('/')
+            .expect(400),
+    ]));
+
+    it('only accepts raw fdf buffers when allowed', () => {
+        const fdf = PdfTk.generateFdfFromJSON({
+            name: 'Zoë',
+        });
+        return Promise.all([
+            request(withBody(middleware(), fdf)).post('/')
+                .expect(400),
+            request(withBody(middleware({
+                allowRawData: true,
+            }), fdf)).post('/')
+                .expect(200),
+        ]);
+    });
+
+    it('passes resolver errors to next', () => request(withBody(PdfTk.middleware(() => {
+        throw new Error('Unknown form');
+    }), {}))
+        .post('/')
+        .expect(500)
+        .expect('next: Unknown form'));
+
+    it('answers pdftk failures itself', () => request(withBody(middleware({
+        env: {
+            STUB_EXIT: '1',
+            STUB_STDERR: 'Error: Unable to find file.',
+        },
+    }), {}))
+        .post('/')
+        .expect(404));
+});
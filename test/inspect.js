@@ -0,0 +1,96 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const PdfTk = require('../');
+const fixtures = require('./fixtures');
+
+describe('inspecting and reusing commands', () => {
+    let tmpDir = null;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'node-pdftk-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, {
+            recursive: true,
+            force: true,
+        });
+    });
+
+    const input = (src, options) => PdfTk.input(src, Object.assign({
+        bin: fixtures.bin,
+        tmpDir,
+    }, options));
+
+    it('shows the arguments without running', () => {
+        const pdf = input({
+            A: Buffer.from('%PDF'),
+            B: Buffer.from('%PDF'),
+        }).cat('A B').userPw('secret');
+        assert.deepStrictEqual(pdf.toArgs(), [
+            'A=-',
+            'B=<tmp>',
+            'cat',
+            'A',
+            'B',
+            'output',
+            '-',
+            'user_pw',
+            'secret',
+        ]);
+        assert.strictEqual(pdf.toCommandString(), `${fixtures.bin} A=- 'B=<tmp>' cat A B output - user_pw '***'`);
+    });
+
+    it('redacts passwords in dry runs', () => input(Buffer.from('%PDF')).inputPw('open').ownerPw('secret').output({
+        dryRun: true,
+    }).then(result => {
+        assert.deepStrictEqual(result.args, [
+            '-',
+            'input_pw',
+            '***',
+            'output',
+            '-',
+            'owner_pw',
+            '***',
+        ]);
+        assert.strictEqual(result.command.indexOf('secret'), -1);
+        assert.deepStrictEqual(fs.readdirSync(tmpDir), []);
+    }));
+
+    it('runs the helpers without changing the builder', () => {
+        const pdf = input(Buffer.from('%PDF'));
+        return pdf.listAttachments()
+            .then(() => pdf.listAttachments())
+            .then(attachments => {
+                assert.deepStrictEqual(attachments, [
+                    {
+                        name: 'attachment.txt',
+                        size: 10,
+                    },
+                ]);
+                return pdf.getFormSchema();
+            })
+            .then(() => pdf.burst({
+                inMemory: true,
+            }))
+            .then(() => {
+                assert.strictEqual(pdf.operation, null);
+                assert.strictEqual(pdf.previous, null);
+            });
+    });
+
+    it('rejects running an input stream twice', () => {
+        const pdf = input(stream.Readable.from([
+            Buffer.from('%PDF'),
+        ]));
+        return pdf.output().then(output => {
+            assert.ok(output.toString().indexOf('STDIN "%PDF"') !== -1);
+            return fixtures.rejects(pdf.output(), /already read by a previous run/);
+        });
+    });
+});
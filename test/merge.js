@@ -0,0 +1,119 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const PdfTk = require('../');
+const fixtures = require('./fixtures');
+
+describe('merge', () => {
+    let tmpDir = null;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'node-pdftk-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, {
+            recursive: true,
+            force: true,
+        });
+    });
+
+    const options = () => ({
+        bin: fixtures.bin,
+        tmpDir,
+    });
+
+    it('assigns multi-letter handles', () => {
+        const sources = [];
+        for (let i = 0; i < 28; i++) sources.push(Buffer.from(`%PDF-${i}`));
+        const args = PdfTk.merge(sources, options()).toArgs();
+        const cat = args.indexOf('cat');
+        assert.deepStrictEqual(args.slice(cat + 1, cat + 3), [
+            'A',
+            'B',
+        ]);
+        assert.deepStrictEqual(args.slice(cat + 26, cat + 29), [
+            'Z',
+            'AA',
+            'AB',
+        ]);
+    });
+
+    it('selects pages per source', () => {
+        assert.deepStrictEqual(PdfTk.merge([
+            {
+                source: Buffer.from('%PDF-1'),
+                pages: [
+                    '1',
+                    '5-endodd',
+                ],
+            },
+            Buffer.from('%PDF-2'),
+        ], options()).toArgs().slice(2), [
+            'cat',
+            'A1',
+            'A5-endodd',
+            'B',
+            'output',
+            '-',
+        ]);
+        assert.throws(() => PdfTk.merge([
+            {
+                source: Buffer.from('%PDF'),
+                pages: 'B1',
+            },
+        ]), /The page range "B1" of "A" must not include a handle/);
+    });
+
+    it('adds a bookmark at the first page of each source', () => PdfTk.merge([
+        {
+            source: Buffer.from('%PDF-1'),
+            pages: '1 3',
+            pageCount: 3,
+            title: 'Cover',
+        },
+        {
+            source: Buffer.from('%PDF-2'),
+            pages: '1-endeven',
+            pageCount: 4,
+        },
+        {
+            source: Buffer.from('%PDF-3'),
+            pageCount: 1,
+        },
+    ], Object.assign(options(), {
+        bookmarks: true,
+    })).output().then(output => {
+        const info = JSON.parse(/^FILE ("InfoBegin.*|"BookmarkBegin.*)$/m.exec(output.toString())[1]);
+        assert.strictEqual(info, [
+            'BookmarkBegin',
+            'BookmarkTitle: Cover',
+            'BookmarkLevel: 1',
+            'BookmarkPageNumber: 1',
+            'BookmarkBegin',
+            'BookmarkTitle: Document 2',
+            'BookmarkLevel: 1',
+            'BookmarkPageNumber: 3',
+            'BookmarkBegin',
+            'BookmarkTitle: Document 3',
+            'BookmarkLevel: 1',
+            'BookmarkPageNumber: 5',
+            '',
+        ].join('\n'));
+        assert.deepStrictEqual(fs.readdirSync(tmpDir), []);
+    }));
+
+    it('rejects streams with bookmarks', () => {
+        assert.throws(() => PdfTk.merge([
+            stream.Readable.from([
+                Buffer.from('%PDF'),
+            ]),
+        ], {
+            bookmarks: true,
+        }), /Streams cannot be merged with bookmarks/);
+    });
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const PdfTk = require('../');
+const fixtures = require('./fixtures');
+
+describe('in-memory operands', () => {
+    let tmpDir = null;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'node-pdftk-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, {
+            recursive: true,
+            force: true,
+        });
+    });
+
+    const input = src => PdfTk.input(src, {
+        bin: fixtures.bin,
+        tmpDir,
+    });
+
+    it('pipes one operand in and spools the others', () => input({
+        A: Buffer.from('%PDF-A'),
+        B: stream.Readable.from([
+            Buffer.from('%PDF-B'),
+        ]),
+        C: Buffer.from('%PDF-C'),
+    }).cat('A B C').output().then(output => {
+        const lines = output.toString().split('\n');
+        const args = JSON.parse(lines[0].slice('ARGS '.length));
+        // Streams are preferred for the stdin, as buffers are cheaper to spool
+        assert.strictEqual(args[1], 'B=-');
+        assert.ok(/^A=.+/.test(args[0]) && /^C=.+/.test(args[2]));
+        assert.deepStrictEqual(lines.slice(1, 4), [
+            'FILE "%PDF-A"',
+            'FILE "%PDF-C"',
+            'STDIN "%PDF-B"',
+        ]);
+        assert.deepStrictEqual(fs.readdirSync(tmpDir), []);
+    }));
+
+    it('combines form data with an in-memory input', () => input(Buffer.from('%PDF')).fillForm({
+        name: 'value',
+    }).output().then(output => {
+        const text = output.toString();
+        assert.ok(text.indexOf('/T (name)\\n/V (value)') !== -1);
+        assert.ok(text.indexOf('STDIN "%PDF"') !== -1);
+    }));
+
+    it('combines a stamp with an in-memory input', () => input(Buffer.from('%PDF-in')).stamp(Buffer.from('%PDF-stamp')).output().then(output => {
+        const text = output.toString();
+        assert.ok(text.indexOf('FILE "%PDF-stamp"') !== -1);
+        assert.ok(text.indexOf('STDIN "%PDF-in"') !== -1);
+    }));
+});
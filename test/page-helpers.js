@@ -0,0 +1,121 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PdfTk = require('../');
+const fixtures = require('./fixtures');
+
+describe('page helpers', () => {
+    let tmpDir = null;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'node-pdftk-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, {
+            recursive: true,
+            force: true,
+        });
+    });
+
+    const input = (src, pages) => PdfTk.input(src || Buffer.from('%PDF'), {
+        bin: fixtures.bin,
+        tmpDir,
+        env: {
+            STUB_PAGES: String(pages || 5),
+        },
+    });
+
+    // Arguments the stub was run with, with temp file paths replaced by "<tmp>"
+    const args = output => JSON.parse(/^ARGS (.*)$/m.exec(output.toString())[1]).map(arg => arg.replace(/^([A-Z]+=)?\/.*$/, '$1<tmp>'));
+
+    it('deletes pages by the page count of the input', () => {
+        const pdf = input().deletePages([1, '3-4']);
+        // The input is read twice, for its page count and the run, so it's spooled instead of piped in
+        assert.deepStrictEqual(pdf.toArgs(), [
+            '<tmp>',
+            'cat',
+            '<pages>',
+            'output',
+            '-',
+        ]);
+        return pdf.output().then(output => {
+            assert.deepStrictEqual(args(output), [
+                '<tmp>',
+                'cat',
+                '2',
+                '5',
+                'output',
+                '-',
+            ]);
+        });
+    });
+
+    it('rejects deleting pages out of bounds or every page', () => fixtures.rejects(input(null, 2).deletePages('2-3').output(), /Cannot delete pages 2-3, the input has 2 pages/)
+        .then(() => fixtures.rejects(input(null, 2).deletePages('1-end').output(), /Cannot delete every page of the input/)));
+
+    it('extracts and reverses pages', () => {
+        assert.deepStrictEqual(input().extractPages([3, '1-2']).toArgs().slice(1, 4), [
+            'cat',
+            '3',
+            '1-2',
+        ]);
+        assert.deepStrictEqual(input().reverse().toArgs().slice(1, 3), [
+            'cat',
+            'end-1',
+        ]);
+    });
+
+    it('inserts a PDF after a page', () => input(null, 4).insertAt(2, Buffer.from('%PDF-insert')).output().then(output => {
+        assert.deepStrictEqual(args(output), [
+            'A=<tmp>',
+            'B=-',
+            'cat',
+            'A1-2',
+            'B',
+            'A3-end',
+            'output',
+            '-',
+        ]);
+    }));
+
+    it('inserts a PDF before the first page', () => {
+        assert.deepStrictEqual(input().insertAt(0, Buffer.from('%PDF-cover')).toArgs(), [
+            'A=-',
+            'B=<tmp>',
+            'cat',
+            'B',
+            'A',
+            'output',
+            '-',
+        ]);
+    });
+
+    it('rejects inserting after the last page', () => fixtures.rejects(input(null, 2).insertAt(3, Buffer.from('%PDF')).output(), /Cannot insert after page 3, the input has 2 pages/));
+
+    it('interleaves the sides of a duplex scan', () => {
+        const options = {
+            bin: fixtures.bin,
+            reverseBack: true,
+        };
+        assert.deepStrictEqual(PdfTk.interleave(Buffer.from('%PDF-front'), Buffer.from('%PDF-back'), options).toArgs(), [
+            'A=-',
+            'B=<tmp>',
+            'shuffle',
+            'A',
+            'Bend-1',
+            'output',
+            '-',
+        ]);
+    });
+
+    it('requires a single input', () => {
+        assert.throws(() => PdfTk.input([
+            Buffer.from('a'),
+            Buffer.from('b'),
+        ]).reverse(), /The "reverse" method requires a single input/);
+    });
+});
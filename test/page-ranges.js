@@ -0,0 +1,57 @@
+'use strict';
+
+const assert = require('assert');
+const PdfTk = require('../');
+
+describe('page ranges', () => {
+    const input = () => PdfTk.input([
+        Buffer.from('a'),
+        Buffer.from('b'),
+    ], {
+        pageCounts: {
+            A: 3,
+        },
+    });
+
+    it('accepts valid ranges', () => {
+        assert.deepStrictEqual(input().cat('A1-2 Bend-r1oddsouth A').toArgs().slice(2, 6), [
+            'cat',
+            'A1-2',
+            'Bend-r1oddsouth',
+            'A',
+        ]);
+    });
+
+    it('rejects invalid syntax', () => {
+        assert.throws(() => input().cat('A1-'), /The page range "A1-" is invalid/);
+        assert.throws(() => input().cat('A0'), /pages start at 1/);
+    });
+
+    it('rejects unknown handles', () => {
+        assert.throws(() => input().cat('C1'), /uses the handle "C", which is not an input. Inputs are: A, B/);
+    });
+
+    it('rejects pages out of bounds', () => {
+        assert.throws(() => input().cat('A4'), /out of bounds, the input "A" has 3 pages/);
+    });
+
+    it('builds ranges', () => {
+        assert.strictEqual(PdfTk.range('A').pages(1, 'end').even().rotate('east').toString(), 'A1-endeveneast');
+        assert.strictEqual(PdfTk.range('B').odd().toString(), 'B1-endodd');
+        assert.strictEqual(PdfTk.range().pages('r1').toString(), 'r1');
+        assert.deepStrictEqual(input().cat([
+            PdfTk.range('A').pages(2),
+            PdfTk.range('B').rotate('left'),
+        ]).toArgs().slice(2, 5), [
+            'cat',
+            'A2',
+            'B1-endleft',
+        ]);
+    });
+
+    it('rejects invalid range parts', () => {
+        assert.throws(() => PdfTk.range('a'), /The handle "a" is invalid/);
+        assert.throws(() => PdfTk.range('A').pages(0), /The page "0" is invalid/);
+        assert.throws(() => PdfTk.range('A').rotate('up'), /The rotation "up" is invalid/);
+    });
+});
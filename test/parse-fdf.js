@@ -0,0 +1,64 @@
+'use strict';
+
+const assert = require('assert');
+const PdfTk = require('../');
+
+describe('parseFdf', () => {
+    it('reads back the fdf data it generates', () => {
+        const data = {
+            name: 'Zoë (née Smith)',
+            address: {
+                street: 'Main St. 1',
+                city: 'Springfield',
+            },
+            colors: [
+                'red',
+                'blue',
+            ],
+            agree: true,
+        };
+        assert.deepStrictEqual(PdfTk.parseFdf(PdfTk.generateFdfFromJSON(data)), Object.assign({}, data, {
+            agree: 'Yes',
+        }));
+    });
+
+    it('reads names, escaped strings and kids', () => {
+        const fdf = [
+            '%FDF-1.2',
+            '1 0 obj',
+            '<<',
+            '/FDF',
+            '<<',
+            '/Fields [',
+            '<<',
+            '/T (agree)',
+            '/V /On',
+            '>>',
+            '<<',
+            '/T (address)',
+            '/Kids [',
+            '<<',
+            '/T (street)',
+            '/V (Main \\(St\\) 1\\\\)',
+            '>>',
+            ']',
+            '>>',
+            ']',
+            '>>',
+            '>>',
+            'endobj',
+            '%%EOF',
+            '',
+        ].join('\n');
+        assert.deepStrictEqual(PdfTk.parseFdf(fdf), {
+            agree: 'On',
+            address: {
+                street: 'Main (St) 1\\',
+            },
+        });
+    });
+
+    it('rejects data that is not fdf', () => {
+        assert.throws(() => PdfTk.parseFdf('not fdf'));
+    });
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+const assert = require('assert');
+const PdfTk = require('../');
+const fixtures = require('./fixtures');
+
+describe('passwords and encryption', () => {
+    const input = env => PdfTk.input({
+        A: Buffer.from('%PDF-A'),
+        B: Buffer.from('%PDF-B'),
+    }, {
+        bin: fixtures.bin,
+        env,
+    });
+
+    it('sets input passwords per handle', () => {
+        const pdf = input().inputPw({
+            A: 'first',
+            B: 'second',
+        }).cat('A B');
+        assert.deepStrictEqual(pdf.toArgs(), [
+            'A=-',
+            'B=<tmp>',
+            'input_pw',
+            'A=first',
+            'B=second',
+            'cat',
+            'A',
+            'B',
+            'output',
+            '-',
+        ]);
+        assert.strictEqual(pdf.toCommandString(), `${fixtures.bin} A=- 'B=<tmp>' input_pw 'A=***' 'B=***' cat A B output -`);
+    });
+
+    it('accepts passwords with the inputs', () => {
+        assert.deepStrictEqual(PdfTk.input({
+            A: {
+                source: Buffer.from('%PDF'),
+                password: 'secret',
+            },
+        }).toArgs().slice(0, 3), [
+            'A=-',
+            'input_pw',
+            'A=secret',
+        ]);
+    });
+
+    it('rejects passwords of unknown handles', () => {
+        assert.throws(() => input().inputPw({
+            C: 'secret',
+        }), /Cannot set the password of "C", the input has no such handle/);
+        assert.throws(() => input().inputPw(1), /The input password must be a string/);
+    });
+
+    it('redacts input passwords in errors', () => fixtures.rejects(input({
+        STUB_EXIT: '1',
+        STUB_STDERR: 'Error: OWNER PASSWORD REQUIRED',
+    }).inputPw({
+        A: 'first',
+        B: 'second',
+    }).cat('A B').output(), /OWNER PASSWORD REQUIRED/).then(err => {
+        assert.deepStrictEqual(err.args.slice(2, 5), [
+            'input_pw',
+            'A=***',
+            'B=***',
+        ]);
+    }));
+
+    it('sets the AES encryption strengths', () => {
+        assert.deepStrictEqual(input().cat('A').encryptAes128().toArgs().slice(-1), [
+            'encrypt_aes128',
+        ]);
+        assert.deepStrictEqual(input().cat('A').encryptAes256().ownerPw('secret').toArgs().slice(-3), [
+            'encrypt_aes256',
+            'owner_pw',
+            'secret',
+        ]);
+    });
+});
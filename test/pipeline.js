@@ -0,0 +1,93 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PdfTk = require('../');
+const fixtures = require('./fixtures');
+
+describe('pipelines', () => {
+    let tmpDir = null;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'node-pdftk-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, {
+            recursive: true,
+            force: true,
+        });
+    });
+
+    const input = env => PdfTk.input(Buffer.from('%PDF'), {
+        bin: fixtures.bin,
+        tmpDir,
+        env,
+    });
+
+    // The stub echoes its stdin, so the output of each stage holds the output of the stage before it
+    const stages = output => {
+        const result = [];
+        let text = output.toString();
+        do {
+            result.unshift(JSON.parse(/^ARGS (.*)$/m.exec(text)[1]).filter(arg => !path.isAbsolute(arg)));
+            const stdin = /^STDIN (.*)$/m.exec(text);
+            text = stdin ? JSON.parse(stdin[1]) : '';
+        } while (/^ARGS /.test(text));
+        return result;
+    };
+
+    it('starts a stage for each operation', () => {
+        const pdf = input().fillForm({
+            name: 'value',
+        }).flatten().stamp(Buffer.from('%PDF-stamp')).next().userPw('secret');
+        assert.strictEqual(pdf.toCommandString(), [
+            `${fixtures.bin} - fill_form '<tmp>' output - flatten`,
+            `${fixtures.bin} - stamp '<tmp>' output -`,
+            `${fixtures.bin} - output - user_pw '***'`,
+        ].join(' | '));
+
+        return pdf.output().then(output => {
+            assert.deepStrictEqual(stages(output), [
+                [
+                    '-',
+                    'fill_form',
+                    'output',
+                    '-',
+                    'flatten',
+                ],
+                [
+                    '-',
+                    'stamp',
+                    'output',
+                    '-',
+                ],
+                [
+                    '-',
+                    'output',
+                    '-',
+                    'user_pw',
+                    'secret',
+                ],
+            ]);
+            assert.deepStrictEqual(fs.readdirSync(tmpDir), []);
+        });
+    });
+
+    it('cleans up when an earlier stage fails', () => fixtures.rejects(input({
+        STUB_EXIT: '1',
+        STUB_STDERR: 'Error: first stage failed',
+    }).fillForm({
+        name: 'value',
+    }).stamp(Buffer.from('%PDF-stamp')).output(), /first stage failed/).then(() => {
+        assert.deepStrictEqual(fs.readdirSync(tmpDir), []);
+    }));
+
+    it('cleans up when a later stage fails', () => fixtures.rejects(input().fillForm({
+        name: 'value',
+    }).stamp(fixtures.failingStream('Stamp failed')).output(), /Stamp failed/).then(() => {
+        assert.deepStrictEqual(fs.readdirSync(tmpDir), []);
+    }));
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+const assert = require('assert');
+const PdfTk = require('../');
+const fixtures = require('./fixtures');
+
+describe('Pool', () => {
+    const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+    it('limits the number of running jobs', () => {
+        const pool = new PdfTk.Pool(2);
+        let running = 0;
+        let maxRunning = 0;
+        const job = () => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            return delay(10).then(() => {
+                running--;
+            });
+        };
+
+        return Promise.all([1, 2, 3, 4, 5].map(() => pool.run(job))).then(() => {
+            assert.strictEqual(maxRunning, 2);
+            assert.deepStrictEqual(pool.stats(), {
+                active: 0,
+                pending: 0,
+                maxConcurrency: 2,
+            });
+        });
+    });
+
+    it('starts jobs with a higher priority first', () => {
+        const pool = new PdfTk.Pool(1);
+        const order = [];
+        const job = name => () => {
+            order.push(name);
+            return delay(1);
+        };
+
+        return Promise.all([
+            pool.run(job('first')),
+            pool.run(job('low')),
+            pool.run(job('high'), {
+                priority: 1,
+            }),
+        ]).then(() => {
+            assert.deepStrictEqual(order, [
+                'first',
+                'high',
+                'low',
+            ]);
+        });
+    });
+
+    it('rejects jobs that wait too long', () => {
+        const pool = new PdfTk.Pool(1);
+        const running = pool.run(() => delay(50));
+
+        return pool.run(() => delay(1), {
+            queueTimeout: 10,
+        }).then(() => {
+            throw new Error('The job should have timed out');
+        }, err => {
+            assert.ok(err instanceof PdfTk.PdftkError);
+            assert.strictEqual(err.code, 'QUEUE_TIMEOUT');
+            assert.strictEqual(err.status, 503);
+            return running;
+        });
+    });
+
+    it('passes job failures on and frees the slot', () => {
+        const pool = new PdfTk.Pool(1);
+        return pool.run(() => Promise.reject(new Error('failed'))).then(() => {
+            throw new Error('The job should have failed');
+        }, err => {
+            assert.strictEqual(err.message, 'failed');
+            return pool.run(() => 'next');
+        }).then(result => {
+            assert.strictEqual(result, 'next');
+        });
+    });
+
+    it('runs commands in the given pool', () => {
+        const pool = PdfTk.pool(1);
+        const running = pool.run(() => delay(50));
+        const output = PdfTk.input(Buffer.from('%PDF'), {
+            bin: fixtures.bin,
+            pool,
+        }).output();
+
+        return delay(10).then(() => {
+            assert.deepStrictEqual(pool.stats(), {
+                active: 1,
+                pending: 1,
+                maxConcurrency: 1,
+            });
+            return Promise.all([
+                running,
+                output,
+            ]);
+        }).then(() => {
+            assert.strictEqual(pool.stats().active, 0);
+        });
+    });
+
+    it('rejects invalid concurrency limits', () => {
+        assert.throws(() => PdfTk.pool(0), /The concurrency limit "0" must be a positive integer/);
+    });
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+const assert = require('assert');
+const stream = require('stream');
+const PdfTk = require('../');
+const fixtures = require('./fixtures');
+
+describe('streams', () => {
+    it('reads an input stream through the stdin', () => PdfTk.input(stream.Readable.from([
+        Buffer.from('%PDF'),
+    ]), {
+        bin: fixtures.bin,
+    }).output().then(output => {
+        assert.ok(output.toString().indexOf('STDIN "%PDF"') !== -1);
+    }));
+
+    it('rejects with the error of a failing input stream', () => fixtures.rejects(PdfTk.input(fixtures.failingStream('Upload aborted'), {
+        bin: fixtures.bin,
+    }).output(), /^Upload aborted$/));
+
+    it('streams the output', () => fixtures.read(PdfTk.input(Buffer.from('%PDF'), {
+        bin: fixtures.bin,
+    }).cat('1').outputStream()).then(output => {
+        assert.ok(output.toString().indexOf('ARGS ["-","cat","1","output","-"]') !== -1);
+    }));
+
+    it('emits failures as errors of the output stream', () => fixtures.rejects(fixtures.read(PdfTk.input(Buffer.from('%PDF'), {
+        bin: fixtures.bin,
+        env: {
+            STUB_EXIT: '1',
+        },
+    }).outputStream()), /stub failure/).then(err => {
+        assert.ok(err instanceof PdfTk.PdftkError);
+    }));
+
+    it('emits the error of a failing input stream', () => fixtures.rejects(fixtures.read(PdfTk.input(fixtures.failingStream('Upload aborted'), {
+        bin: fixtures.bin,
+    }).outputStream()), /^Upload aborted$/));
+
+    it('kills the process when the output stream is destroyed', () => {
+        const pool = PdfTk.pool(1);
+        const output = PdfTk.input(Buffer.from('%PDF'), {
+            bin: fixtures.bin,
+            pool,
+            env: {
+                STUB_OUTPUT_BYTES: String(8 * 1024 * 1024),
+            },
+        }).outputStream();
+
+        return new Promise(resolve => output.once('data', resolve)).then(() => {
+            output.destroy();
+            return pool.run(() => pool.stats());
+        }).then(stats => {
+            // The slot of the killed process is free again
+            assert.strictEqual(stats.active, 1);
+            assert.strictEqual(stats.pending, 0);
+        });
+    });
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const PdfTk = require('../');
+const fixtures = require('./fixtures');
+
+describe('temp files', () => {
+    let tmpDir = null;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'node-pdftk-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, {
+            recursive: true,
+            force: true,
+        });
+    });
+
+    const input = (src, options) => PdfTk.input(src, Object.assign({
+        bin: fixtures.bin,
+        tmpDir,
+    }, options));
+
+    it('waits for every temp file before cleaning up a failed run', () => {
+        const failing = new stream.Readable({
+            read() {
+                this.destroy(new Error('Read failed'));
+            },
+        });
+        const slow = new stream.Readable({
+            read() {},
+        });
+        setTimeout(() => {
+            slow.push('slow');
+            slow.push(null);
+        }, 50);
+
+        return fixtures.rejects(input(Buffer.from('%PDF')).attachFiles([
+            {
+                name: 'failing.txt',
+                content: failing,
+            },
+            {
+                name: 'slow.txt',
+                content: slow,
+            },
+        ]).output(), /Read failed/).then(() => {
+            assert.deepStrictEqual(fs.readdirSync(tmpDir), []);
+        });
+    });
+
+    it('keeps user files that look like temp files', () => {
+        const file = path.join(tmpDir, 'node-pdftk-tmp-mine.pdf');
+        fs.writeFileSync(file, '%PDF');
+        return input(file).output().then(() => {
+            assert.ok(fs.existsSync(file));
+        });
+    });
+
+    it('removes stale temp files', () => {
+        const stale = path.join(tmpDir, 'node-pdftk-tmp-stale.pdf');
+        const fresh = path.join(tmpDir, 'node-pdftk-tmp-fresh.pdf');
+        const other = path.join(tmpDir, 'other.pdf');
+        for (const file of [stale, fresh, other]) fs.writeFileSync(file, '%PDF');
+        const hourAgo = new Date(Date.now() - 3600000 - 1000);
+        fs.utimesSync(stale, hourAgo, hourAgo);
+
+        return PdfTk.cleanupStaleTempFiles(undefined, tmpDir).then(removed => {
+            assert.deepStrictEqual(removed, [
+                stale,
+            ]);
+            assert.deepStrictEqual(fs.readdirSync(tmpDir).sort(), [
+                'node-pdftk-tmp-fresh.pdf',
+                'other.pdf',
+            ]);
+        });
+    });
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PdfTk = require('../');
+const fixtures = require('./fixtures');
+
+describe('timeouts and cancellation', () => {
+    let tmpDir = null;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'node-pdftk-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, {
+            recursive: true,
+            force: true,
+        });
+    });
+
+    // The stub ignores SIGTERM, and writes the stamp to a temp file
+    const hanging = () => PdfTk.input(Buffer.from('%PDF'), {
+        bin: fixtures.bin,
+        tmpDir,
+        env: {
+            STUB_HANG: '1',
+        },
+    }).stamp(Buffer.from('%PDF'));
+
+    it('adds dont_ask with a timeout', () => {
+        assert.deepStrictEqual(PdfTk.input(Buffer.from('%PDF')).toArgs({
+            timeout: 100,
+        }), [
+            '-',
+            'output',
+            '-',
+            'dont_ask',
+        ]);
+    });
+
+    it('rejects right away when the timeout expires, and kills the process later', function () {
+        this.timeout(5000);
+        const start = Date.now();
+        return fixtures.rejects(hanging().output({
+            timeout: 200,
+        }), /timed out after 200ms/).then(err => {
+            assert.strictEqual(err.code, 'TIMEOUT');
+            assert.ok(Date.now() - start < 1000);
+
+            // SIGKILL follows after the grace period, then the temp files are removed
+            return new Promise(resolve => setTimeout(resolve, 2500));
+        }).then(() => {
+            assert.deepStrictEqual(fs.readdirSync(tmpDir), []);
+        });
+    });
+
+    it('rejects right away when aborted', function () {
+        this.timeout(5000);
+        const controller = new AbortController();
+        const start = Date.now();
+        setTimeout(() => controller.abort(), 100);
+        return fixtures.rejects(hanging().output({
+            signal: controller.signal,
+        }), /aborted/i).then(err => {
+            assert.strictEqual(err.code, 'ABORTED');
+            assert.ok(Date.now() - start < 1000);
+            return new Promise(resolve => setTimeout(resolve, 2500));
+        });
+    });
+
+    it('does not start when already aborted', () => {
+        const controller = new AbortController();
+        controller.abort();
+        return fixtures.rejects(PdfTk.input(Buffer.from('%PDF'), {
+            bin: '/does/not/exist',
+        }).output({
+            signal: controller.signal,
+        }), /aborted/i).then(err => {
+            assert.strictEqual(err.code, 'ABORTED');
+        });
+    });
+});
@@ -0,0 +1,142 @@
+'use strict';
+
+const assert = require('assert');
+const PdfTk = require('../');
+const fixtures = require('./fixtures');
+
+describe('updateInfo', () => {
+    it('writes bookmarks and page labels', () => {
+        const info = PdfTk.generateInfoFromJSON({
+            info: {
+                Title: 'Book',
+            },
+            bookmarks: [
+                {
+                    title: 'Chapter 1',
+                    page: 3,
+                    children: [
+                        {
+                            title: 'Section 1.1',
+                            page: 4,
+                        },
+                    ],
+                },
+            ],
+            pageLabels: [
+                {
+                    start: 1,
+                    style: 'LowercaseRomanNumerals',
+                },
+                {
+                    start: 3,
+                    prefix: 'P-',
+                    numStart: 5,
+                },
+            ],
+        }).toString();
+        assert.strictEqual(info, [
+            'InfoBegin',
+            'InfoKey: Title',
+            'InfoValue: Book',
+            'BookmarkBegin',
+            'BookmarkTitle: Chapter 1',
+            'BookmarkLevel: 1',
+            'BookmarkPageNumber: 3',
+            'BookmarkBegin',
+            'BookmarkTitle: Section 1.1',
+            'BookmarkLevel: 2',
+            'BookmarkPageNumber: 4',
+            'PageLabelBegin',
+            'PageLabelNewIndex: 1',
+            'PageLabelStart: 1',
+            'PageLabelNumStyle: LowercaseRomanNumerals',
+            'PageLabelBegin',
+            'PageLabelNewIndex: 3',
+            'PageLabelStart: 5',
+            'PageLabelPrefix: P-',
+            'PageLabelNumStyle: DecimalArabicNumerals',
+            '',
+        ].join('\n'));
+    });
+
+    it('writes bookmarks and page labels in the shape it parses them', () => {
+        const data = {
+            bookmarks: [
+                {
+                    title: 'Preface',
+                    level: 1,
+                    pageNumber: 1,
+                },
+                {
+                    title: 'Chapter 1',
+                    level: 1,
+                    pageNumber: 3,
+                },
+            ],
+            pageLabels: [
+                {
+                    newIndex: 1,
+                    start: 1,
+                    numStyle: 'LowercaseRomanNumerals',
+                },
+                {
+                    newIndex: 3,
+                    start: 1,
+                    prefix: 'P-',
+                    numStyle: 'DecimalArabicNumerals',
+                },
+            ],
+        };
+        const parsed = PdfTk.parseDumpData(PdfTk.generateInfoFromJSON(data));
+        assert.deepStrictEqual(parsed.bookmarks, data.bookmarks);
+        assert.deepStrictEqual(parsed.pageLabels, data.pageLabels);
+    });
+
+    it('rejects invalid page labels', () => {
+        assert.throws(() => PdfTk.generateInfoFromJSON({
+            pageLabels: [
+                {
+                    start: 0,
+                },
+            ],
+        }), /invalid first page/);
+        assert.throws(() => PdfTk.generateInfoFromJSON({
+            pageLabels: [
+                {
+                    start: 1,
+                    style: 'Roman',
+                },
+            ],
+        }), /style "Roman" is invalid/);
+        assert.throws(() => PdfTk.generateInfoFromJSON({
+            pageLabels: [
+                {
+                    newIndex: 1,
+                    start: 0,
+                },
+            ],
+        }), /invalid start number/);
+    });
+
+    it('rejects line breaks that would add records', () => {
+        assert.throws(() => PdfTk.generateInfoFromJSON({
+            Title: 'x\nInfoKey: Author',
+        }), /The InfoValue "x\\nInfoKey: Author" cannot contain line breaks/);
+        assert.throws(() => PdfTk.generateInfoFromJSON({
+            bookmarks: [
+                {
+                    title: 'a\r\nBookmarkBegin',
+                    page: 1,
+                },
+            ],
+        }), /The BookmarkTitle "a\\r\\nBookmarkBegin" cannot contain line breaks/);
+    });
+
+    it('writes the info file to a temp file', () => PdfTk.input(Buffer.from('%PDF'), {
+        bin: fixtures.bin,
+    }).updateInfoUtf8({
+        Title: 'Zoë',
+    }).output().then(output => {
+        assert.ok(output.toString().indexOf('FILE "InfoBegin\\nInfoKey: Title\\nInfoValue: ZoÃ«\\n"') !== -1);
+    }));
+});
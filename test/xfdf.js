@@ -0,0 +1,46 @@
+'use strict';
+
+const assert = require('assert');
+const PdfTk = require('../');
+const fixtures = require('./fixtures');
+
+describe('xfdf', () => {
+    it('escapes values and nests fields', () => {
+        const xfdf = PdfTk.generateXfdfFromJSON({
+            'address.street': 'Main <St> & "1"',
+            colors: [
+                'red',
+                'blue',
+            ],
+        }).toString();
+        assert.ok(xfdf.indexOf('<field name="address">\n<field name="street">\n<value>Main &lt;St&gt; &amp; &quot;1&quot;</value>') !== -1, xfdf);
+        assert.ok(xfdf.indexOf('<value>red</value>\n<value>blue</value>') !== -1, xfdf);
+    });
+
+    it('uses the button states of each field', () => {
+        const xfdf = PdfTk.generateXfdfFromJSON({
+            agree: true,
+        }, {
+            onState: {
+                agree: '1',
+            },
+        }).toString();
+        assert.ok(xfdf.indexOf('<field name="agree">\n<value>1</value>') !== -1);
+    });
+
+    it('fills forms with xfdf', () => PdfTk.input(Buffer.from('%PDF'), {
+        bin: fixtures.bin,
+    }).fillForm({
+        name: 'Zoë',
+    }, {
+        format: 'xfdf',
+    }).output().then(output => {
+        assert.ok(output.toString().indexOf('<xfdf xmlns') !== -1);
+    }));
+
+    it('rejects unknown formats', () => {
+        assert.throws(() => PdfTk.input(Buffer.from('%PDF')).fillForm({}, {
+            format: 'xml',
+        }), /The form data format "xml" is not supported/);
+    });
+});